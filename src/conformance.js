@@ -0,0 +1,167 @@
+import assert from 'assert';
+
+/**
+ * Storage adapter conformance suite.
+ *
+ * Each case gets a fresh adapter from `createStorage()`, and for adapters that several
+ * processes may share, a second instance over the same data from `openPeer(storage)`.
+ * Use `runStorageConformance()` to run them all, or register `storageConformance` cases
+ * with your own test runner:
+ *
+ *   for (const c of storageConformance) test(c.name, async () => {
+ *     const storage = await createStorage();
+ *     await c.run(storage, await openPeer(storage));
+ *   });
+ *
+ * Optional methods (`list`, `compareAndSet`) are only checked when the adapter has them,
+ * and cases across instances only when a peer is given.
+ */
+
+/** A paused record shaped like the ones run()/resume() store. */
+function sampleRecord(step = 1) {
+  return {
+    code: 'const u = await fetch("https://api.example.com/u");\n(u);',
+    state: { pc: 3, stack: [{ scope: 0 }] },
+    paused: {
+      variables: [
+        ['s', 'héllo "quoted" \n ✓'],
+        ['n', -12.5],
+        ['b', false],
+        ['nil', null],
+        ['undef', undefined],
+        ['arr', [1, 'two', { three: [3] }, null]],
+        ['obj', { nested: { deep: { list: [] } }, empty: {} }],
+      ],
+    },
+    status: 'paused',
+    step,
+    pause: { fetch: { url: 'https://api.example.com/u' } },
+    createdAt: 1700000000000,
+    updatedAt: 1700000000000,
+  };
+}
+
+/** @type {Array<{ name: string, run: (storage: any, peer?: any) => Promise<void> }>} */
+export const storageConformance = [
+  {
+    name: 'get() of a missing id resolves undefined',
+    async run(storage) {
+      assert.strictEqual(await storage.get('missing'), undefined);
+    },
+  },
+  {
+    name: 'set()/get() round-trips a paused record, including paused.variables entries',
+    async run(storage) {
+      const record = sampleRecord();
+      await storage.set('task-1', record);
+      const got = await storage.get('task-1');
+      assert.deepStrictEqual(got, record);
+      assert.deepStrictEqual(new Map(got.paused.variables), new Map(record.paused.variables));
+    },
+  },
+  {
+    name: 'set() overwrites the previous value',
+    async run(storage) {
+      await storage.set('task-1', sampleRecord(1));
+      await storage.set('task-1', sampleRecord(2));
+      assert.strictEqual((await storage.get('task-1')).step, 2);
+    },
+  },
+  {
+    name: 'del() removes the value and tolerates missing ids',
+    async run(storage) {
+      await storage.set('task-1', sampleRecord());
+      await storage.del('task-1');
+      assert.strictEqual(await storage.get('task-1'), undefined);
+      await storage.del('task-1');
+    },
+  },
+  {
+    name: 'ids with separators, dots, case and unicode stay distinct',
+    async run(storage) {
+      const ids = ['a/b', '../x', 'A', 'a', 'task:1:0', 'üñí', ' spaced ', 'x'.repeat(60)];
+      for (const [i, id] of ids.entries()) await storage.set(id, sampleRecord(i));
+      for (const [i, id] of ids.entries()) assert.strictEqual((await storage.get(id))?.step, i, id);
+    },
+  },
+  {
+    name: 'concurrent writes to different ids all land',
+    async run(storage) {
+      const ids = Array.from({ length: 20 }, (_, i) => `task-${i}`);
+      await Promise.all(ids.map((id, i) => storage.set(id, sampleRecord(i))));
+      for (const [i, id] of ids.entries()) assert.strictEqual((await storage.get(id))?.step, i, id);
+    },
+  },
+  {
+    name: 'concurrent writes to the same id leave one complete value',
+    async run(storage) {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => storage.set('task-1', sampleRecord(i))));
+      const got = await storage.get('task-1');
+      assert.deepStrictEqual(got, sampleRecord(got.step));
+    },
+  },
+  {
+    name: 'list() returns exactly the stored ids',
+    async run(storage) {
+      if (typeof storage.list !== 'function') return;
+      await storage.set('a/b', sampleRecord());
+      await storage.set('task-2', sampleRecord());
+      await storage.set('task-3', sampleRecord());
+      await storage.del('task-3');
+      assert.deepStrictEqual((await storage.list()).sort(), ['a/b', 'task-2']);
+    },
+  },
+  {
+    name: 'compareAndSet() lets exactly one concurrent writer advance a step',
+    async run(storage) {
+      if (typeof storage.compareAndSet !== 'function') return;
+      await storage.set('task-1', sampleRecord(1));
+      const wins = await Promise.all(
+        Array.from({ length: 10 }, () => storage.compareAndSet('task-1', 1, sampleRecord(2)))
+      );
+      assert.strictEqual(wins.filter(Boolean).length, 1);
+      assert.strictEqual((await storage.get('task-1')).step, 2);
+      assert.strictEqual(await storage.compareAndSet('task-1', 1, sampleRecord(3)), false);
+      assert.strictEqual(await storage.compareAndSet('missing', 0, sampleRecord(1)), false);
+      assert.strictEqual(await storage.compareAndSet('task-1', 2, undefined), true);
+      assert.strictEqual(await storage.get('task-1'), undefined);
+    },
+  },
+  {
+    name: 'compareAndSet() lets exactly one writer advance a step across adapter instances',
+    async run(storage, peer) {
+      if (typeof storage.compareAndSet !== 'function' || !peer) return;
+      await storage.set('task-1', sampleRecord(1));
+      const wins = await Promise.all(
+        Array.from({ length: 10 }, (_, i) => (i % 2 ? peer : storage).compareAndSet('task-1', 1, sampleRecord(2)))
+      );
+      assert.strictEqual(wins.filter(Boolean).length, 1);
+      assert.strictEqual((await peer.get('task-1')).step, 2);
+      assert.strictEqual(await peer.compareAndSet('task-1', 2, sampleRecord(3)), true);
+      assert.strictEqual(await storage.compareAndSet('task-1', 2, sampleRecord(4)), false);
+      assert.strictEqual((await storage.get('task-1')).step, 3);
+    },
+  },
+];
+
+/**
+ * Run every conformance case against fresh adapters.
+ *
+ * @param {() => any | Promise<any>} createStorage
+ * @param {(storage: any) => any | Promise<any>} [openPeer] Another instance over the same
+ *   data as `storage`, as a second process would open it
+ * @returns {Promise<{ ok: boolean, results: Array<{ name: string, ok: boolean, error?: Error }> }>}
+ */
+export async function runStorageConformance(createStorage, openPeer) {
+  const results = [];
+  for (const c of storageConformance) {
+    try {
+      const storage = await createStorage();
+      await c.run(storage, openPeer && await openPeer(storage));
+      results.push({ name: c.name, ok: true });
+    } catch (error) {
+      results.push({ name: c.name, ok: false, error });
+    }
+  }
+  return { ok: results.every(r => r.ok), results };
+}
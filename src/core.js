@@ -0,0 +1,4345 @@
+import { createRequire } from 'module';
+import { webcrypto } from 'crypto';
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { parse } from 'acorn';
+import { runStep } from './vm-step.js';
+const require = createRequire(import.meta.url);
+
+/**
+ * Extremely small, async-friendly, in-memory KV store.
+ * (You can swap this with Redis/S3/etc by providing the same interface.)
+ *
+ * `list()` is optional for other adapters; it is only needed by listTasks().
+ * `compareAndSet()` is optional too, but without it concurrent resumes of the same
+ * task are only checked best-effort (read-compare-write).
+ */
+class InMemoryStorage {
+  constructor() { this.data = new Map(); }
+  /** @param {string} id */
+  async get(id) { return this.data.get(id); }
+  /** @param {string} id @param {any} value */
+  async set(id, value) { this.data.set(id, value); }
+  /** @param {string} id */
+  async del(id) { this.data.delete(id); }
+  /** @returns {Promise<string[]>} all stored ids */
+  async list() { return [...this.data.keys()]; }
+  /**
+   * Atomically replace the record whose `step` equals `expected` (`value === undefined` deletes it).
+   * @param {string} id @param {number} expected @param {any} value
+   * @returns {Promise<boolean>} false if the stored step differs or the record is gone
+   */
+  async compareAndSet(id, expected, value) {
+    const current = this.data.get(id);
+    if (!current || (current.step ?? 0) !== expected) return false;
+    if (value === undefined) this.data.delete(id);
+    else this.data.set(id, value);
+    return true;
+  }
+}
+
+/**
+ * Registry for code transformation + metadata. Each runtime (see createRuntime()) owns one.
+ *
+ * specs[] is used by normalize(), and is the only thing required for the VM rewriting flow.
+ * The node maps are optional metadata (but make SDK/type generation possible).
+ */
+function createRegistry() {
+  return {
+    /** @type {Array<{ name: string, base: string, methods: any[] }>} */
+    specs: [],
+    /** @type {Map<string, any>} sdkName -> NodeEntry */
+    bySdkName: new Map(),
+    /** @type {Map<string, any>} rawName -> NodeEntry */
+    byRawName: new Map(),
+    /** @type {Map<string, string>} name -> code, for workflow() calls */
+    workflows: new Map(),
+    /** @type {Array<(record: any, info: any) => any>} see defineMigration() */
+    migrations: [],
+  };
+}
+
+const OP_SELECTOR_FALLBACK = 'operation';
+
+/** @param {string} s */
+function isValidIdentifier(s) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(s) && !isReservedWord(s);
+}
+
+/** @param {string} s */
+function isReservedWord(s) {
+  // Keep it tiny; we just want to avoid generating obviously broken identifiers.
+  return new Set([
+    'break','case','catch','class','const','continue','debugger','default','delete','do','else',
+    'export','extends','finally','for','function','if','import','in','instanceof','new','return',
+    'super','switch','this','throw','try','typeof','var','void','while','with','yield','let',
+    'enum','await','implements','package','protected','static','interface','private','public',
+  ]).has(s);
+}
+
+/**
+ * Convert arbitrary strings to a safe JS identifier (lowerCamelCase).
+ * Ensures stable output and avoids collisions by suffixing when needed.
+ *
+ * @param {string} raw
+ * @param {Set<string>} used
+ */
+function toSafeIdentifier(raw, used = new Set()) {
+  const parts = String(raw)
+    .split(/[^A-Za-z0-9]+/g)
+    .filter(Boolean);
+
+  let out = parts.length ? parts[0] : 'op';
+  for (let i = 1; i < parts.length; i++) {
+    const p = parts[i];
+    out += p ? p[0].toUpperCase() + p.slice(1) : '';
+  }
+
+  if (!out) out = 'op';
+  if (/^[0-9]/.test(out)) out = '_' + out;
+  if (!/^[A-Za-z_$]/.test(out)) out = '_' + out.replace(/[^A-Za-z0-9_$]/g, '_');
+  if (isReservedWord(out)) out = '_' + out;
+
+  // Ensure uniqueness within the same scope.
+  if (!used.has(out)) {
+    used.add(out);
+    return out;
+  }
+  let i = 2;
+  while (used.has(out + '_' + i)) i++;
+  const unique = out + '_' + i;
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * SDK method name for a raw operation id: kept as-is when it is a valid identifier,
+ * made safe otherwise, and suffixed when already taken within the node.
+ *
+ * @param {string} raw
+ * @param {Set<string>} used
+ */
+function callName(raw, used) {
+  if (!isValidIdentifier(raw) || used.has(raw)) return toSafeIdentifier(raw, used);
+  used.add(raw);
+  return raw;
+}
+
+/**
+ * Determine how a node expresses its "operations".
+ *
+ * We support the 4 shapes seen in nodes(1).json:
+ *  1) Selector: actions[0] is an options selector (type: "options"), options[].name are operations
+ *  2) Operation list (name): actions[] entries have {label,name,description?} (no "type")
+ *  3) Operation list (operation): actions[] entries have {label,operation,description?}
+ *  4) No actions: single implicit operation "run"
+ *
+ * @param {any} node
+ */
+function deriveOperations(node) {
+  const actions = Array.isArray(node?.actions) ? node.actions : [];
+  if (!actions.length) {
+    return {
+      opKey: null,
+      operations: [{
+        raw: 'run',
+        call: 'run',
+        path: 'run',
+        label: 'Run',
+        description: node?.description,
+      }],
+      actionParams: [],
+      operationSelector: null,
+    };
+  }
+
+  const first = actions[0];
+
+  // Shape 1: selector object with {name,type:"options",options:[...]}
+  if (first && typeof first === 'object' && first.type && Array.isArray(first.options) && first.name) {
+    const opKey = String(first.name || OP_SELECTOR_FALLBACK);
+    const used = new Set();
+    const operations = first.options
+      .map((opt) => {
+        const raw = String(opt?.name ?? '');
+        if (!raw) return null;
+        const call = callName(raw, used);
+        return {
+          raw,
+          call,
+          path: raw, // URL path segment(s) use the raw operation id
+          label: opt?.label,
+          description: opt?.description,
+        };
+      })
+      .filter(Boolean);
+
+    // All action parameters (including the selector itself) are kept for typing/introspection.
+    // BUT the SDK method implies the selector value, so consumers usually only set the remaining ones.
+    const actionParams = actions;
+
+    return { opKey, operations, actionParams, operationSelector: first };
+  }
+
+  // Shape 3: operation list with {operation: "..."}
+  if (first && typeof first === 'object' && 'operation' in first) {
+    const used = new Set();
+    const operations = actions
+      .map((a) => {
+        const raw = String(a?.operation ?? '');
+        if (!raw) return null;
+        const call = callName(raw, used);
+        return { raw, call, path: raw, label: a?.label, description: a?.description };
+      })
+      .filter(Boolean);
+
+    return { opKey: OP_SELECTOR_FALLBACK, operations, actionParams: [], operationSelector: null };
+  }
+
+  // Shape 2: operation list with {name: "..."} (no "type")
+  if (first && typeof first === 'object' && 'name' in first) {
+    const used = new Set();
+    const operations = actions
+      .map((a) => {
+        const raw = String(a?.name ?? '');
+        if (!raw) return null;
+        const call = callName(raw, used);
+        return { raw, call, path: raw, label: a?.label, description: a?.description };
+      })
+      .filter(Boolean);
+
+    return { opKey: OP_SELECTOR_FALLBACK, operations, actionParams: [], operationSelector: null };
+  }
+
+  // Fallback: treat as single operation.
+  return {
+    opKey: null,
+    operations: [{
+      raw: 'run',
+      call: 'run',
+      path: 'run',
+      label: 'Run',
+      description: node?.description,
+    }],
+    actionParams: actions,
+    operationSelector: null,
+  };
+}
+
+/**
+ * Normalize a node into a NodeEntry with a safe SDK name and a set of methods.
+ * Preserves the original node schema verbatim under `schema`.
+ *
+ * @param {any} node
+ */
+function normalizeNode(node) {
+  const rawName = String(node?.name ?? '');
+  if (!rawName) return null;
+
+  const sdkName = isValidIdentifier(rawName) ? rawName : toSafeIdentifier(rawName);
+
+  const { opKey, operations, actionParams, operationSelector } = deriveOperations(node);
+
+  // Convert operations into spec methods (call-path -> url-path mapping).
+  const methods = operations.map((op) => ({
+    call: op.call,
+    path: op.path,
+    raw: op.raw,
+    label: op.label,
+    description: op.description,
+  }));
+
+  return {
+    rawName,
+    sdkName,
+    type: node?.type,
+    category: node?.category,
+    version: node?.version,
+    label: node?.label,
+    description: node?.description,
+    icons: node?.icons,
+    incoming: node?.incoming,
+    outgoing: node?.outgoing,
+    filePath: node?.filePath,
+    loadMethods: node?.loadMethods ?? {},
+    actions: node?.actions ?? [],
+    networks: node?.networks ?? [],
+    credentials: node?.credentials ?? [],
+    inputParameters: node?.inputParameters ?? [],
+    nodeState: node?.nodeState,
+    // Derived
+    opKey,
+    operationSelector,
+    operations,
+    actionParams,
+    methods,
+    // Preserve everything (incl. any extra fields)
+    schema: node,
+  };
+}
+
+/**
+ * Decide if a param is relevant to an operation (by raw id), using the node's
+ * `show`/`hide: { "actions.<opKey>": [...] }` rules.
+ *
+ * @param {any} node NodeEntry
+ * @param {any} param
+ * @param {string} opRaw
+ */
+function includeForOp(node, param, opRaw) {
+  if (!param) return false;
+  const opKey = node.opKey;
+  const show = param.show && typeof param.show === 'object' ? param.show : null;
+  const hide = param.hide && typeof param.hide === 'object' ? param.hide : null;
+  if (opKey && show && Object.prototype.hasOwnProperty.call(show, `actions.${opKey}`)) {
+    const allowed = show[`actions.${opKey}`];
+    if (Array.isArray(allowed)) return allowed.map(String).includes(String(opRaw));
+  }
+  if (opKey && hide && Object.prototype.hasOwnProperty.call(hide, `actions.${opKey}`)) {
+    const hidden = hide[`actions.${opKey}`];
+    if (Array.isArray(hidden)) return !hidden.map(String).includes(String(opRaw));
+  }
+  return true;
+}
+
+/**
+ * Compute the effective parameter set of one operation by including:
+ *  - action parameters (excluding the op selector itself) filtered by includeForOp()
+ *  - inputParameters filtered the same way
+ *  - networks + credentials (unfiltered; but keep optional/required flags)
+ *
+ * Shared by type generation, analysis and validation so they agree on what an op accepts.
+ *
+ * @param {any} node NodeEntry
+ * @param {{ raw: string }} op
+ * @returns {Array<{ name: string, optional: boolean, param: any, source: 'action' | 'input' | 'network' | 'credential', desc?: string }>}
+ */
+function operationParams(node, op) {
+  const inputParams = Array.isArray(node.inputParameters) ? node.inputParameters : [];
+  const actionParams = Array.isArray(node.actionParams) ? node.actionParams : [];
+  const networkParams = Array.isArray(node.networks) ? node.networks : [];
+  const credParams = Array.isArray(node.credentials) ? node.credentials : [];
+
+  // Determine "secondary" action params (excluding selector at index 0 if selector-shape)
+  const isSelectorShape = Array.isArray(node.actions) && node.actions.length && node.actions[0] && node.actions[0].type && Array.isArray(node.actions[0].options);
+  const secondaryActionParams = isSelectorShape ? actionParams.slice(1) : actionParams;
+
+  const fields = [];
+  const push = (p, optional, source) => fields.push({ name: p.name, optional, param: p, source, desc: p.description ?? p.label });
+
+  // Include secondary actions as "flat" top-level keys
+  for (const p of secondaryActionParams) {
+    if (!p?.name || !includeForOp(node, p, op.raw)) continue;
+    push(p, !!p.optional || p.required === false, 'action');
+  }
+
+  for (const p of inputParams) {
+    if (!p?.name || !includeForOp(node, p, op.raw)) continue;
+    push(p, !!p.optional || p.required === false, 'input');
+  }
+
+  // networks: show/hide may depend on other fields; keep optional
+  for (const p of networkParams) {
+    if (!p?.name) continue;
+    push(p, true, 'network');
+  }
+
+  for (const p of credParams) {
+    if (!p?.name) continue;
+    push(p, !(p.required === true) || !!p.optional, 'credential');
+  }
+
+  return fields;
+}
+
+/**
+ * Raised when SDK call arguments do not match the operation's parameter schema.
+ * `issues` lists each problem with a dotted `path` into the params object.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} node sdkName
+   * @param {string} method call name
+   * @param {Array<{ path: string, code: string, message: string }>} issues
+   */
+  constructor(node, method, issues) {
+    super(`Invalid params for ${node}.${method}: ${issues.map(i => i.message).join('; ')}`);
+    this.name = 'ValidationError';
+    this.node = node;
+    this.method = method;
+    this.issues = issues;
+  }
+
+  toJSON() {
+    return { name: this.name, message: this.message, node: this.node, method: this.method, issues: this.issues };
+  }
+}
+
+/** @param {any} v */
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** @param {any} v */
+function typeName(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+/**
+ * Check one value against a schema param (same type vocabulary as tsTypeForParam()).
+ * Unknown/custom types are accepted as-is.
+ *
+ * @param {any} p
+ * @param {any} value
+ * @param {string} path
+ * @param {Array<{ path: string, code: string, message: string }>} issues
+ */
+function checkParamValue(p, value, path, issues) {
+  const t = p?.type;
+  const mismatch = (expected) => issues.push({
+    path, code: 'type', message: `${path} must be ${expected}, got ${typeName(value)}`, expected, received: typeName(value),
+  });
+
+  if (t === 'string' || t === 'code' || t === 'asyncOptions') {
+    if (typeof value !== 'string') mismatch('a string');
+  } else if (t === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value)) mismatch('a number');
+  } else if (t === 'boolean') {
+    if (typeof value !== 'boolean') mismatch('a boolean');
+  } else if (t === 'date') {
+    if (typeof value !== 'string' && !(value instanceof Date)) mismatch('a date string');
+  } else if (t === 'object') {
+    if (!isPlainObject(value)) mismatch('an object');
+  } else if (t === 'string[]') {
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) mismatch('an array of strings');
+  } else if (t === 'options') {
+    const names = (Array.isArray(p?.options) ? p.options : []).map(o => o?.name).filter(Boolean).map(String);
+    if (names.length && !names.includes(String(value))) {
+      issues.push({ path, code: 'enum', message: `${path} must be one of ${names.slice(0, 10).map(n => JSON.stringify(n)).join(', ')}${names.length > 10 ? ', ...' : ''}`, expected: names });
+    }
+  } else if (t === 'array') {
+    if (!Array.isArray(value)) return mismatch('an array');
+    value.forEach((item, i) => {
+      if (p?.items?.type) checkParamValue(p.items, item, `${path}[${i}]`, issues);
+      else if (Array.isArray(p?.array)) {
+        if (!isPlainObject(item)) {
+          issues.push({ path: `${path}[${i}]`, code: 'type', message: `${path}[${i}] must be an object, got ${typeName(item)}`, expected: 'an object', received: typeName(item) });
+          return;
+        }
+        const fields = p.array.filter(f => f?.name).map(f => ({ name: f.name, optional: true, param: f }));
+        checkFields(fields, item, `${path}[${i}].`, issues);
+      }
+    });
+  } else if (t === 'collection') {
+    if (!isPlainObject(value)) return mismatch('an object');
+    if (!Array.isArray(p?.options)) return;
+    const fields = p.options.filter(f => f?.name).map(f => ({ name: f.name, optional: !!f.optional || f.required === false, param: f }));
+    checkFields(fields, value, `${path}.`, issues);
+  }
+}
+
+/**
+ * Check an object against a field list: unknown keys, missing required keys, value types.
+ *
+ * @param {Array<{ name: string, optional: boolean, param: any, conditional?: boolean }>} fields
+ * @param {Record<string, any>} obj
+ * @param {string} prefix
+ * @param {Array<{ path: string, code: string, message: string }>} issues
+ * @param {Set<string>} [extra] Keys accepted without a field (e.g. the op selector)
+ */
+function checkFields(fields, obj, prefix, issues, extra = new Set()) {
+  const byName = new Map();
+  for (const f of fields) if (!byName.has(f.name)) byName.set(f.name, f);
+
+  for (const key of Object.keys(obj)) {
+    if (byName.has(key) || extra.has(key)) continue;
+    issues.push({ path: prefix + key, code: 'unknown', message: `Unknown param ${prefix + key}` });
+  }
+  for (const f of byName.values()) {
+    const value = obj[f.name];
+    if (value === undefined || value === null) {
+      if (!f.optional && !f.conditional) {
+        issues.push({ path: prefix + f.name, code: 'required', message: `Missing required param ${prefix + f.name}` });
+      }
+      continue;
+    }
+    checkParamValue(f.param, value, prefix + f.name, issues);
+  }
+}
+
+/**
+ * Validate SDK call params against an operation's effective parameter set
+ * (see operationParams()). Params whose show/hide rules depend on other fields, and
+ * credentials (resolved outside user code), are never reported as missing.
+ *
+ * @param {any} node NodeEntry
+ * @param {{ raw: string }} op
+ * @param {any} params First call argument
+ * @returns {Array<{ path: string, code: string, message: string }>} issues (empty when valid)
+ */
+function validateParams(node, op, params) {
+  const issues = [];
+  if (params !== undefined && !isPlainObject(params)) {
+    issues.push({ path: '', code: 'type', message: `params must be an object, got ${typeName(params)}`, expected: 'an object', received: typeName(params) });
+    return issues;
+  }
+  const extra = new Set(node.opKey ? [node.opKey] : []);
+  checkFields(callFields(node, op), params ?? {}, '', issues, extra);
+  return issues;
+}
+
+/**
+ * An operation's params as calls are checked against them: operationParams(), each
+ * marked `conditional` when it may be left out whatever its own flag says (credentials,
+ * and params whose show/hide rules depend on other fields).
+ *
+ * @param {any} node NodeEntry
+ * @param {{ raw: string }} op
+ */
+function callFields(node, op) {
+  return operationParams(node, op).map(f => ({
+    ...f,
+    conditional: f.source === 'credential' || !dependsOnlyOnOp(node, f.param),
+  }));
+}
+
+/**
+ * Registered specs for code transformation.
+ *
+ * A "spec" here means:
+ * - `name`: the identifier you use in code (sdkName)
+ * - `methods`: array of method descriptors
+ *
+ * The transform replaces:  <name>.<method>(args...)  -> fetch("<base>/<path>?args=...")
+ *
+ * Calls are matched on the parsed AST, so only real call expressions are rewritten
+ * (never text inside strings/comments), but keep the method names stable anyway.
+ */
+
+/**
+ * Register a spec (backward compatible).
+ *
+ * A method may declare how it is called over HTTP:
+ * - `method`: HTTP verb (defaults to POST for `json`, GET otherwise)
+ * - `encoding`: `json` (first argument as the JSON body), `query` (first argument's
+ *   fields as query params) or `args` (all arguments as `?args=<json>`, the legacy form;
+ *   defaults to `json` for POST/PUT/PATCH and `query` for other verbs)
+ * - `headers`: static request headers
+ * - `query`: with `json`, the fields that go to the query string instead of the body;
+ *   a single entry also names the param a scalar first argument fills
+ * - `bodyParam`: with `json`, the field whose value is the whole body
+ * - `{name}` segments in `path` are filled from the first argument's fields, or from a
+ *   scalar first argument when there is exactly one segment.
+ *
+ * Methods that declare none of these keep the legacy `GET <path>?args=<json>` call.
+ *
+ * @param {{ name: string, methods: Array<string | {call:string, path?:string, method?:string, encoding?:'json'|'query'|'args', headers?:Record<string,string>}> }} spec
+ * @param {string} endpoint
+ */
+export function use(spec, endpoint) {
+  register(defaultRuntime.registry, spec, endpoint);
+}
+
+/**
+ * use() against an explicit registry. Registering a name again replaces its methods.
+ *
+ * @param {any} registry
+ * @param {any} spec
+ * @param {string} endpoint
+ */
+function register(registry, spec, endpoint) {
+  const { name, methods } = spec;
+  const base = endpoint.replace(/\/$/, '');
+
+  const calls = (methods || []).map((m) => {
+    const call = typeof m === 'string' ? m : m.call;
+    const path = typeof m === 'string' ? m : (m.path ?? m.call);
+    const urlPath = String(path).replace(/^\//, '');
+    const entry = { callPath: String(call), urlPath };
+    if (typeof m === 'string' || !(m.method || m.encoding || m.headers || m.query || /\{\w+\}/.test(urlPath))) return entry;
+
+    const method = String(m.method ?? (m.encoding === 'json' ? 'POST' : 'GET')).toUpperCase();
+    const encoding = m.encoding ?? (['POST', 'PUT', 'PATCH'].includes(method) ? 'json' : 'query');
+    if (!['json', 'query', 'args'].includes(encoding)) {
+      throw new Error(`use: unknown encoding "${encoding}" for ${name}.${call}`);
+    }
+    return { ...entry, method, encoding, headers: m.headers ?? {}, query: m.query, bodyParam: m.bodyParam };
+  });
+
+  const i = registry.specs.findIndex(s => s.name === name);
+  if (i < 0) registry.specs.push({ name, base, methods: calls });
+  else registry.specs[i] = { name, base, methods: calls };
+}
+
+/**
+ * Unregister a spec (and its node metadata, if it came from a nodes registry) by SDK
+ * name or raw node name. Returns whether anything was removed.
+ *
+ * @param {string} name
+ */
+export function unuse(name) {
+  return unregister(defaultRuntime.registry, name);
+}
+
+/**
+ * Register a named workflow that code can call with `await workflow(name, args)`.
+ * The call runs it as a child task (with its own pauses) and resolves with its result.
+ * Inside the child, `args` holds the arguments. Defining a name again replaces it.
+ *
+ * @param {string} name
+ * @param {string} code
+ */
+export function defineWorkflow(name, code) {
+  registerWorkflow(defaultRuntime.registry, name, code);
+}
+
+/** @param {any} registry @param {string} name @param {string} code */
+function registerWorkflow(registry, name, code) {
+  if (typeof name !== 'string' || !name) throw new Error('defineWorkflow: name must be a non-empty string');
+  parseProgram(String(code));
+  registry.workflows.set(name, String(code));
+}
+
+/**
+ * Register a migration for stored tasks that no longer match the running library or
+ * registry. On resume, such a task is passed to each migration in order as
+ * `migrate(record, { id, reasons, from, to })`, where `reasons` lists what changed
+ * (`'version'`, `'vm'`, `'code'`, `'specs'`) and `from`/`to` hold the stored and current
+ * `{ version, vm, codeHash, specsHash }`. Return the (possibly rewritten) record to resume
+ * it, or nothing to leave it to the next migration. A task no migration accepts resolves
+ * to `{ status: 'incompatible_state' }` and stays stored.
+ *
+ * @param {(record: any, info: { id: string, reasons: string[], from: any, to: any }) => any} migrate
+ */
+export function defineMigration(migrate) {
+  registerMigration(defaultRuntime.registry, migrate);
+}
+
+/** @param {any} registry @param {(record: any, info: any) => any} migrate */
+function registerMigration(registry, migrate) {
+  if (typeof migrate !== 'function') throw new Error('defineMigration: expected a function');
+  registry.migrations.push(migrate);
+}
+
+/** @param {any} registry @param {string} name */
+function unregister(registry, name) {
+  const entry = registry.bySdkName.get(name) ?? registry.byRawName.get(name);
+  const sdkName = entry?.sdkName ?? name;
+  if (entry) {
+    registry.bySdkName.delete(entry.sdkName);
+    registry.byRawName.delete(entry.rawName);
+  }
+  const before = registry.specs.length;
+  registry.specs = registry.specs.filter(s => s.name !== sdkName);
+  return !!entry || registry.specs.length !== before;
+}
+
+/**
+ * Register ALL nodes from a nodes-registry JSON array.
+ *
+ * This is the dynamic "SDK spec" bridge from your low-code schema.
+ *
+ * @param {any[]} nodesRegistryJson
+ * @param {string} endpoint Base API endpoint. Each node will be registered at `${endpoint}/${rawNodeName}`.
+ * @param {{ includeNonActionNodes?: boolean, method?: string, encoding?: 'json' | 'query' | 'args', headers?: Record<string, string> }} [options]
+ *   `method`/`encoding`/`headers` apply to every operation (see use()).
+ */
+export function useNodesRegistry(nodesRegistryJson, endpoint, options = {}) {
+  return registerNodes(defaultRuntime.registry, nodesRegistryJson, endpoint, options);
+}
+
+/**
+ * useNodesRegistry() against an explicit registry. Re-registering a node replaces it.
+ *
+ * @param {any} registry
+ * @param {any[]} nodesRegistryJson
+ * @param {string} endpoint
+ * @param {any} [options]
+ */
+function registerNodes(registry, nodesRegistryJson, endpoint, options = {}) {
+  const base = endpoint.replace(/\/$/, '');
+  const includeNonActionNodes = options.includeNonActionNodes ?? true;
+
+  if (!Array.isArray(nodesRegistryJson)) {
+    throw new Error('useNodesRegistry: expected nodesRegistryJson to be an array');
+  }
+
+  const results = {
+    registered: 0,
+    skipped: 0,
+    nodes: /** @type {any[]} */ ([]),
+  };
+
+  for (const node of nodesRegistryJson) {
+    const entry = normalizeNode(node);
+    if (!entry) { results.skipped++; continue; }
+
+    if (!includeNonActionNodes && entry.type !== 'action') {
+      results.skipped++;
+      continue;
+    }
+
+    // Register transform spec under the *SDK name* (safe identifier),
+    // while routing fetches to the *raw name* endpoint path.
+    register(
+      registry,
+      {
+        name: entry.sdkName,
+        methods: entry.methods.map(m => ({
+          call: m.call,
+          path: m.path,
+          method: options.method,
+          encoding: options.encoding,
+          headers: options.headers,
+        })),
+      },
+      `${base}/${encodeURIComponent(entry.rawName)}`
+    );
+
+    registry.bySdkName.set(entry.sdkName, entry);
+    registry.byRawName.set(entry.rawName, entry);
+
+    results.registered++;
+    results.nodes.push(entry);
+  }
+
+  return results;
+}
+
+/**
+ * Get a snapshot of the normalized node registry.
+ * (Useful for UI/autocomplete/introspection in your editor.)
+ */
+export function getNodeRegistry() {
+  return snapshotRegistry(defaultRuntime.registry);
+}
+
+/** @param {any} registry */
+function snapshotRegistry(registry) {
+  return {
+    bySdkName: new Map(registry.bySdkName),
+    byRawName: new Map(registry.byRawName),
+  };
+}
+
+const OPENAPI_VERBS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * Resolve a local `$ref` (`#/components/...`) in an OpenAPI document.
+ *
+ * @param {any} doc
+ * @param {any} obj
+ */
+function openAPIRef(doc, obj) {
+  for (let depth = 0; obj && typeof obj.$ref === 'string' && depth < 32; depth++) {
+    if (!obj.$ref.startsWith('#/')) throw new Error(`useOpenAPI: only local $refs are supported (${obj.$ref})`);
+    obj = obj.$ref.slice(2).split('/')
+      .map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((o, k) => o?.[k], doc);
+  }
+  return obj;
+}
+
+/**
+ * Map a JSON Schema (OpenAPI flavour) to a registry param, so validation, generateTypes()
+ * and generateJSONSchema() treat OpenAPI operations like registry nodes.
+ *
+ * @param {any} doc
+ * @param {any} schema
+ * @param {number} [depth] Guards recursive schemas
+ */
+function paramFromSchema(doc, schema, depth = 0) {
+  const s = openAPIRef(doc, schema) ?? {};
+  const description = s.description;
+  if (Array.isArray(s.enum)) return { type: 'options', options: s.enum.map(v => ({ name: v })), description };
+
+  const type = Array.isArray(s.type) ? s.type.find(t => t !== 'null') : s.type;
+  if (type === 'string') return { type: 'string', description };
+  if (type === 'integer' || type === 'number') return { type: 'number', description };
+  if (type === 'boolean') return { type: 'boolean', description };
+  if (type === 'array') {
+    return depth < 8 && s.items
+      ? { type: 'array', items: paramFromSchema(doc, s.items, depth + 1), description }
+      : { type: 'array', description };
+  }
+  if ((type === 'object' || s.properties) && depth < 8) {
+    const required = new Set(s.required ?? []);
+    const options = Object.entries(s.properties ?? {}).map(([name, prop]) => ({
+      ...paramFromSchema(doc, prop, depth + 1),
+      name,
+      optional: !required.has(name),
+    }));
+    // Open objects (or ones without declared properties) accept anything.
+    if (!options.length || (s.additionalProperties && s.additionalProperties !== false)) return { type: 'object', description };
+    return { type: 'collection', options, description };
+  }
+  return { type: 'json', description };
+}
+
+/**
+ * Flatten an OpenAPI document into operations with their params.
+ * Each param is `{ name, in: 'path' | 'query' | 'body', required, schema, description }`;
+ * an object JSON body contributes its properties, any other body a single `body` param.
+ *
+ * @param {any} doc
+ */
+function openAPIOperations(doc) {
+  const operations = [];
+  for (const [path, rawItem] of Object.entries(doc?.paths ?? {})) {
+    const item = openAPIRef(doc, rawItem) ?? {};
+    for (const verb of OPENAPI_VERBS) {
+      const op = item[verb];
+      if (!op) continue;
+
+      /** @type {Map<string, any>} `${in}:${name}` -> parameter; operation-level ones override path-level */
+      const byKey = new Map();
+      for (const raw of [...(item.parameters ?? []), ...(op.parameters ?? [])]) {
+        const p = openAPIRef(doc, raw);
+        if (p?.name && (p.in === 'path' || p.in === 'query')) byKey.set(`${p.in}:${p.name}`, p);
+      }
+      const params = [...byKey.values()].map(p => ({
+        name: p.name, in: p.in, required: p.in === 'path' || !!p.required, schema: p.schema, description: p.description,
+      }));
+
+      const requestBody = openAPIRef(doc, op.requestBody);
+      const content = requestBody?.content ?? {};
+      const media = content['application/json'] ?? Object.entries(content).find(([t]) => /\bjson\b/.test(t))?.[1];
+      let bodyParam;
+      if (media) {
+        const schema = openAPIRef(doc, media.schema) ?? {};
+        const taken = new Set(params.map(p => p.name));
+        if (schema.type === 'object' || schema.properties) {
+          const required = new Set(schema.required ?? []);
+          for (const [name, prop] of Object.entries(schema.properties ?? {})) {
+            if (taken.has(name)) continue;
+            params.push({ name, in: 'body', required: !!requestBody.required && required.has(name), schema: prop, description: openAPIRef(doc, prop)?.description });
+          }
+        } else {
+          bodyParam = 'body';
+          params.push({ name: 'body', in: 'body', required: !!requestBody.required, schema, description: requestBody.description });
+        }
+      }
+
+      operations.push({
+        raw: String(op.operationId ?? `${verb} ${path}`),
+        method: verb.toUpperCase(),
+        path: path.replace(/^\//, ''),
+        summary: op.summary,
+        description: op.description,
+        params,
+        hasBody: !!media,
+        bodyParam,
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Convert an OpenAPI 3 document into a nodes-registry array (one node, one operation per
+ * `operationId`), e.g. to feed generateTypes() or generateJSONSchema().
+ *
+ * @param {any} doc OpenAPI 3 document (local `$ref`s are resolved)
+ * @param {{ name?: string }} [options] Node name; defaults to `info.title`
+ */
+export function openAPIToNodes(doc, options = {}) {
+  const name = String(options.name ?? doc?.info?.title ?? 'api');
+  const operations = openAPIOperations(doc);
+  const inputParameters = operations.flatMap(op => op.params.map(p => ({
+    ...paramFromSchema(doc, p.schema),
+    name: p.name,
+    description: p.description ?? openAPIRef(doc, p.schema)?.description,
+    optional: !p.required,
+    show: { 'actions.operation': [op.raw] },
+  })));
+
+  return [{
+    name,
+    type: 'action',
+    version: doc?.info?.version,
+    description: doc?.info?.description,
+    actions: [{
+      name: 'operation',
+      type: 'options',
+      options: operations.map(op => ({ name: op.raw, label: op.summary, description: op.description })),
+    }],
+    inputParameters,
+  }];
+}
+
+/**
+ * Register an OpenAPI 3 document as an SDK namespace: one method per `operationId`
+ * (made safe with the same rules as registry nodes), called with one params object whose
+ * fields go to the path (`{id}`), the query string or the JSON body as the document says.
+ * Header and cookie params are not mapped.
+ *
+ * Calls are validated against the operation's params, like registry nodes.
+ *
+ * @param {any} doc OpenAPI 3 document
+ * @param {string} [endpoint] Base URL; defaults to the document's first `servers` entry
+ * @param {{ name?: string, headers?: Record<string, string> }} [options]
+ *   `name` is the SDK namespace (defaults to `info.title`); `headers` are sent with every call.
+ */
+export function useOpenAPI(doc, endpoint, options = {}) {
+  return registerOpenAPI(defaultRuntime.registry, doc, endpoint, options);
+}
+
+/**
+ * useOpenAPI() against an explicit registry.
+ *
+ * @param {any} registry
+ * @param {any} doc
+ * @param {string} [endpoint]
+ * @param {{ name?: string, headers?: Record<string, string> }} [options]
+ */
+function registerOpenAPI(registry, doc, endpoint, options = {}) {
+  const base = endpoint ?? doc?.servers?.[0]?.url;
+  if (!base || !/^[a-z][a-z0-9+.-]*:/i.test(base)) {
+    throw new Error('useOpenAPI: pass an absolute endpoint (the document has no absolute servers[0].url)');
+  }
+
+  const [node] = openAPIToNodes(doc, options);
+  const entry = normalizeNode(node);
+  const byRaw = new Map(openAPIOperations(doc).map(op => [op.raw, op]));
+
+  register(registry, {
+    name: entry.sdkName,
+    methods: entry.methods.map((m) => {
+      const op = byRaw.get(m.raw);
+      return {
+        call: m.call,
+        path: op.path,
+        method: op.method,
+        encoding: op.hasBody ? 'json' : 'query',
+        headers: options.headers,
+        query: op.params.filter(p => p.in === 'query').map(p => p.name),
+        bodyParam: op.bodyParam,
+      };
+    }),
+  }, base);
+  registry.bySdkName.set(entry.sdkName, entry);
+  registry.byRawName.set(entry.rawName, entry);
+  return entry;
+}
+
+/**
+ * Raised when workflow code cannot be compiled (syntax errors, unknown SDK methods).
+ * `line` is 1-based and `column` 0-based, matching acorn.
+ */
+export class CompileError extends Error {
+  /** @param {string} message @param {{ line: number, column: number }} [loc] */
+  constructor(message, loc) {
+    super(loc ? `${message} (${loc.line}:${loc.column})` : message);
+    this.name = 'CompileError';
+    this.line = loc?.line;
+    this.column = loc?.column;
+  }
+}
+
+/**
+ * Parse workflow code as a script body that may use top-level await/return.
+ *
+ * @param {string} code
+ * @param {any[]} [comments] Receives the comments found by the tokenizer.
+ */
+function parseProgram(code, comments) {
+  try {
+    return parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      locations: true,
+      onComment: comments,
+    });
+  } catch (e) {
+    if (e instanceof SyntaxError && e.loc) {
+      throw new CompileError(e.message.replace(/\s*\(\d+:\d+\)$/, ''), e.loc);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Depth-first walk over an ESTree AST. Returning `false` from `visit` skips the node's children.
+ *
+ * @param {any} node
+ * @param {(node: any, parent: any) => boolean | void} visit
+ * @param {any} [parent]
+ */
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent) === false) return;
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const c of child) walk(c, visit, node);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+/**
+ * Resolve a callee like `api.users.create` (or `api?.users["create"]`) to its root identifier
+ * and static property path. Returns null for anything dynamic.
+ *
+ * @param {any} node
+ */
+function memberPath(node) {
+  const parts = [];
+  let n = node;
+  while (n.type === 'MemberExpression') {
+    if (!n.computed) parts.unshift(n.property.name);
+    else if (n.property.type === 'Literal' && typeof n.property.value === 'string') parts.unshift(n.property.value);
+    else return null;
+    n = n.object;
+  }
+  if (n.type !== 'Identifier' || !parts.length) return null;
+  return { root: n.name, path: parts.join('.') };
+}
+
+/**
+ * Index registered specs as sdkName -> (callPath -> target). Within a spec, the first
+ * method with a given call path wins.
+ * A target is `{ url, base, path, method?, encoding?, headers?, query?, bodyParam? }`.
+ *
+ * @param {any} registry
+ */
+function specIndex(registry) {
+  /** @type {Map<string, Map<string, any>>} */
+  const byName = new Map();
+  for (const { name, base, methods } of registry.specs) {
+    let calls = byName.get(name);
+    if (!calls) byName.set(name, calls = new Map());
+    for (const { callPath, urlPath, ...http } of methods) {
+      if (calls.has(callPath)) continue;
+      calls.set(callPath, { ...http, url: `${base}/${urlPath}`, base, path: urlPath });
+    }
+  }
+  return byName;
+}
+
+/**
+ * Apply non-overlapping `{ start, end, text }` replacements to `code`.
+ *
+ * Also returns a position map from output offsets back to `code` offsets:
+ * `[outOffset, srcOffset, length]` triples, where copied chunks map char-for-char and
+ * replacement text (length 0) maps to the start of the range it replaced.
+ *
+ * @param {string} code
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ */
+function applyEdits(code, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  /** @type {Array<[number, number, number]>} */
+  const map = [];
+  let out = '', pos = 0;
+  for (const e of sorted) {
+    if (e.start < pos) throw new Error(`applyEdits: overlapping edit at ${e.start}`);
+    if (e.start > pos) map.push([out.length, pos, e.start - pos]);
+    out += code.slice(pos, e.start);
+    if (e.text) map.push([out.length, e.start, 0]);
+    out += e.text;
+    pos = e.end;
+  }
+  if (pos < code.length) map.push([out.length, pos, code.length - pos]);
+  return { code: out + code.slice(pos), map };
+}
+
+/**
+ * Map an offset in normalized code back to the original source (null inside generated
+ * prelude code).
+ *
+ * @param {Array<[number, number, number]>} map
+ * @param {number} offset
+ */
+function sourceOffset(map, offset) {
+  let lo = 0, hi = map.length - 1, hit = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (map[mid][0] <= offset) { hit = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  if (hit < 0) return null;
+  const [out, src, len] = map[hit];
+  return src + Math.min(offset - out, len);
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ */
+function lineColumn(text, offset) {
+  const before = text.slice(0, offset).split(/\r\n|\r|\n/);
+  return { line: before.length, column: before[before.length - 1].length };
+}
+
+/**
+ * @param {string} text
+ * @param {number} line 1-based
+ * @param {number} column 0-based
+ */
+function offsetOf(text, line, column) {
+  const lines = text.split('\n');
+  let offset = 0;
+  for (let i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+  return offset + column;
+}
+
+/**
+ * Render the lines around `line` with a caret under `column`.
+ *
+ * @param {string} source
+ * @param {number} line 1-based
+ * @param {number} column 0-based
+ */
+function codeSnippet(source, line, column) {
+  const lines = source.split(/\r\n|\r|\n/);
+  const from = Math.max(1, line - 1), to = Math.min(lines.length, line + 1);
+  const width = String(to).length;
+  const out = [];
+  for (let n = from; n <= to; n++) {
+    out.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    if (n === line) out.push(`  ${' '.repeat(width)} | ${' '.repeat(column)}^`);
+  }
+  return out.join('\n');
+}
+
+/**
+ * The position a VM error carries as data: `{ line, column }` (or `lineNumber`/`columnNumber`)
+ * fields, or an acorn-style `loc`; columns are 0-based. Messages and stacks are not searched,
+ * so `Meeting at 10:45` is never read as a position.
+ *
+ * @param {any} error
+ */
+function errorPosition(error) {
+  if (!error || typeof error !== 'object') return null;
+  const at = error.loc && typeof error.loc === 'object' ? error.loc : error;
+  const line = at.line ?? at.lineNumber;
+  const column = at.column ?? at.columnNumber;
+  if (!Number.isInteger(line) || line < 1) return null;
+  return { line, column: Number.isInteger(column) && column >= 0 ? column : 0 };
+}
+
+/**
+ * Locate an error in the user's original source. CompileErrors already carry original
+ * positions; VM errors are mapped back through the normalize() position map.
+ *
+ * @param {any} error
+ * @param {{ source?: string, code?: string, map?: Array<[number, number, number]> }} task
+ * @returns {{ line: number, column: number, snippet: string } | undefined}
+ */
+function locateError(error, task) {
+  const { source, code, map } = task;
+  if (typeof source !== 'string') return undefined;
+
+  let pos;
+  if (error instanceof CompileError && error.line) {
+    pos = { line: error.line, column: error.column ?? 0 };
+  } else {
+    if (!map || typeof code !== 'string') return undefined;
+    const at = errorPosition(error);
+    if (!at) return undefined;
+    const offset = sourceOffset(map, offsetOf(code, at.line, at.column));
+    if (offset == null) return undefined;
+    pos = lineColumn(source, offset);
+  }
+  return { ...pos, snippet: codeSnippet(source, pos.line, pos.column) };
+}
+
+// Pseudo-URL the VM pauses on for `Promise.all([...])`; `requests` holds the batched descriptors.
+const BATCH_URL = 'sequential:batch';
+// Pseudo-URL for calls with a declared verb/encoding; `r` holds `{ t: target, a: args, r: request }`.
+const REQUEST_URL = 'sequential:request';
+const REQUEST_FN = '__sqRequest';
+// Pseudo-URLs for `sleep(duration)` / `waitForEvent(name, { timeout })`; `args` holds the call's arguments.
+const SLEEP_URL = 'sequential:sleep';
+const EVENT_URL = 'sequential:event';
+// Pseudo-URL for `workflow(name, args)`; the named workflow runs as a child task.
+const WORKFLOW_URL = 'sequential:workflow';
+/** Workflow globals that pause the task without a request: name -> pseudo-URL */
+const WAIT_CALLS = new Map([['sleep', SLEEP_URL], ['waitForEvent', EVENT_URL], ['workflow', WORKFLOW_URL]]);
+
+/**
+ * Build the HTTP request for a call to a method with a declared verb/encoding.
+ *
+ * A scalar first argument stands for the method's only `{placeholder}`, or else its only
+ * declared `query` param; with `json` and neither, it is the body. Anything else about a
+ * scalar, and any placeholder left without a value, throws a ValidationError instead of
+ * sending a request for another resource.
+ *
+ * Self-contained on purpose: its source is also injected into workflow code (see
+ * REQUEST_PRELUDE), so keep it to plain ES2015 with no outside references.
+ *
+ * @param {{ base: string, path: string, method: string, encoding: string, headers?: Record<string, string>, query?: string[], bodyParam?: string }} s
+ * @param {any[]} args
+ * @returns {{ url: string, method: string, headers: Record<string, string>, body?: string }}
+ */
+function buildRequest(s, args) {
+  function fail(message) {
+    var e = new Error(message + ' (' + s.method + ' ' + s.path + ')');
+    e.name = 'ValidationError';
+    throw e;
+  }
+  var first = args[0];
+  var isObj = first !== null && typeof first === 'object' && !Array.isArray(first);
+  var params = {};
+  var mapped = false;
+  if (isObj) for (var k in first) params[k] = first[k];
+  else if (first !== undefined) {
+    var slots = s.path.match(/\{\w+\}/g) || [];
+    var name = slots.length === 1 ? slots[0].slice(1, -1)
+      : !slots.length && s.query && s.query.length === 1 ? s.query[0] : null;
+    if (name) {
+      params[name] = first;
+      isObj = mapped = true;
+    } else if (slots.length || s.encoding === 'query') {
+      fail('Pass a params object: a ' + typeof first + ' argument has no single path or query param to go to');
+    }
+  }
+
+  var path = s.path.replace(/\{(\w+)\}/g, function (_, key) {
+    var v = params[key];
+    if (v == null) fail('Missing path param ' + key);
+    delete params[key];
+    return encodeURIComponent(String(v));
+  });
+  var headers = {};
+  for (var h in s.headers || {}) headers[h] = s.headers[h];
+  var req = { url: s.base + '/' + path, method: s.method, headers: headers };
+
+  if (s.encoding === 'args') {
+    if (args.length) req.url += '?args=' + encodeURIComponent(JSON.stringify(args));
+    return req;
+  }
+
+  var q = [];
+  for (var key in params) {
+    var v = params[key];
+    if (s.encoding !== 'query' && !(s.query && s.query.indexOf(key) >= 0)) continue;
+    delete params[key];
+    if (v === undefined) continue;
+    q.push(encodeURIComponent(key) + '=' + encodeURIComponent(typeof v === 'string' ? v : JSON.stringify(v)));
+  }
+  if (q.length) req.url += '?' + q.join('&');
+
+  if (s.encoding === 'json') {
+    var body = s.bodyParam ? params[s.bodyParam] : mapped ? undefined : isObj ? params : first;
+    if (body !== undefined) {
+      req.headers['content-type'] = 'application/json';
+      req.body = JSON.stringify(body);
+    }
+  }
+  return req;
+}
+
+const REQUEST_PRELUDE = `function ${REQUEST_FN}(s, args) {
+  return ${JSON.stringify(REQUEST_URL + '?r=')} + encodeURIComponent(JSON.stringify({ t: [s.node, s.call], a: args, r: (${buildRequest})(s, args) }));
+}
+`;
+
+/**
+ * Is `node` a `fetch(url[, init])` call that can be expressed as a `{ url, init }` descriptor?
+ *
+ * @param {any} node
+ */
+function isPlainFetch(node) {
+  return node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' && node.callee.name === 'fetch' &&
+    node.arguments.length >= 1 && node.arguments.length <= 2 &&
+    node.arguments.every(a => a.type !== 'SpreadElement');
+}
+
+/**
+ * Find `Promise.all([...])` calls whose elements are all SDK calls or plain fetch() calls.
+ * Those become one batch pause instead of one pause per element.
+ *
+ * @param {any} ast
+ * @param {Map<string, Map<string, string>>} index
+ * @param {Set<any>} local Calls on locally bound roots (see resolveCallRoots())
+ */
+function findBatches(ast, index, local) {
+  const batches = [];
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.arguments.length !== 1 || local.has(node)) return;
+    const ref = memberPath(node.callee);
+    if (!ref || ref.root !== 'Promise' || ref.path !== 'all') return;
+    const list = node.arguments[0];
+    if (list.type !== 'ArrayExpression' || !list.elements.length) return;
+    const ok = list.elements.every((el) => {
+      if (!el) return false;
+      if (isPlainFetch(el)) return true;
+      const r = el.type === 'CallExpression' && !local.has(el) && memberPath(el.callee);
+      return !!r && !!index.get(r.root)?.has(r.path);
+    });
+    if (ok) batches.push(node);
+  });
+  return batches;
+}
+
+/**
+ * Collect the edits that rewrite registered SDK calls into fetch() calls.
+ *
+ * Only the callee and the closing paren are replaced, so arguments (including nested SDK
+ * calls and spreads) stay in place and get their own edits.
+ *
+ * Inside a batched `Promise.all([...])` each element becomes a `{ url, init? }` descriptor
+ * and the whole call becomes a single fetch of BATCH_URL. `sleep()`/`waitForEvent()`/`workflow()`
+ * become fetches of their WAIT_CALLS pseudo-URL.
+ *
+ * Returns the call nodes that now pause the VM (rewritten SDK calls, batches, waits and
+ * plain fetch() calls outside batches), and whether any call needs REQUEST_FN.
+ *
+ * Calls whose root is a local binding (`local`, see resolveCallRoots()) are left alone.
+ *
+ * @param {any} ast
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ * @param {any} registry
+ * @param {Set<any>} local
+ */
+function collectCallEdits(ast, edits, registry, local) {
+  const index = specIndex(registry);
+
+  /** @type {Set<any>} */
+  const pausing = new Set();
+  /** @type {Set<any>} */
+  const batched = new Set();
+  /** @type {Set<string>} names of the specs the code calls */
+  const used = new Set();
+  /** @type {Set<any>} plain fetch() batch elements, now `{ url, init }` descriptors */
+  const converted = new Set();
+  let requests = false;
+  for (const node of findBatches(ast, index, local)) {
+    pausing.add(node);
+    const list = node.arguments[0];
+    edits.push({
+      start: node.start,
+      end: list.start + 1,
+      text: `fetch(${JSON.stringify(BATCH_URL + '?requests=')}+encodeURIComponent(JSON.stringify([`,
+    });
+    edits.push({ start: list.end - 1, end: node.end, text: '])))' });
+
+    for (const el of list.elements) {
+      if (!isPlainFetch(el)) { batched.add(el); continue; }
+      converted.add(el);
+      const [url, init] = el.arguments;
+      edits.push({ start: el.start, end: url.start, text: '{ url: ' });
+      if (init) edits.push({ start: url.end, end: init.start, text: ', init: ' });
+      edits.push({ start: (init ?? url).end, end: el.end, text: ' }' });
+    }
+  }
+
+  // sleep()/waitForEvent()/workflow(), unless a local binding shadows them; plain fetch() calls.
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier') return;
+    if (node.callee.name === 'fetch') {
+      if (!converted.has(node)) pausing.add(node);
+      return;
+    }
+    const url = WAIT_CALLS.get(node.callee.name);
+    if (!url || local.has(node)) return;
+    pausing.add(node);
+    const args = node.arguments;
+    if (!args.length) {
+      edits.push({ start: node.start, end: node.end, text: `fetch(${JSON.stringify(url)})` });
+      return;
+    }
+    edits.push({
+      start: node.start,
+      end: args[0].start,
+      text: `fetch(${JSON.stringify(url + '?args=')}+encodeURIComponent(JSON.stringify([`,
+    });
+    edits.push({ start: args[args.length - 1].end, end: node.end, text: '])))' });
+  });
+
+  if (!index.size) return { pausing, described: requests, used };
+
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || local.has(node)) return;
+    const ref = memberPath(node.callee);
+    if (!ref) return;
+    const calls = index.get(ref.root);
+    if (!calls) return;
+
+    const target = calls.get(ref.path);
+    if (!target) {
+      throw new CompileError(`Unknown method ${ref.root}.${ref.path}`, node.loc.start);
+    }
+    used.add(ref.root);
+
+    if (!batched.has(node)) pausing.add(node);
+    const [open, close] = batched.has(node) ? ['{ url: ', ' }'] : ['fetch(', ')'];
+    const args = node.arguments;
+
+    if (target.method) {
+      // Declared verb/encoding: the request is built at runtime by REQUEST_FN.
+      requests = true;
+      const { base, path, method, encoding, headers, query, bodyParam } = target;
+      const spec = JSON.stringify({ node: ref.root, call: ref.path, base, path, method, encoding, headers, query, bodyParam });
+      if (!args.length) {
+        edits.push({ start: node.start, end: node.end, text: `${open}${REQUEST_FN}(${spec}, [])${close}` });
+        return;
+      }
+      edits.push({ start: node.start, end: args[0].start, text: `${open}${REQUEST_FN}(${spec}, [` });
+      edits.push({ start: args[args.length - 1].end, end: node.end, text: `])${close}` });
+      return;
+    }
+
+    if (!args.length) {
+      edits.push({ start: node.start, end: node.end, text: `${open}${JSON.stringify(target.url)}${close}` });
+      return;
+    }
+    edits.push({
+      start: node.start,
+      end: args[0].start,
+      text: `${open}${JSON.stringify(target.url + '?args=')}+encodeURIComponent(JSON.stringify([`,
+    });
+    edits.push({ start: args[args.length - 1].end, end: node.end, text: `]))${close}` });
+  });
+
+  return { pausing, described: requests, used };
+}
+
+// Response envelope injected by resumeWithError(); CHECK_FN rethrows it at the paused await.
+const ERROR_KEY = '__sqError';
+const CHECK_FN = '__sqCheck';
+const CHECK_PRELUDE = `function ${CHECK_FN}(r) {
+  if (r && typeof r.then === 'function') return r.then(${CHECK_FN});
+  if (r && typeof r === 'object' && r.${ERROR_KEY}) {
+    const e = new Error(r.${ERROR_KEY}.message);
+    e.name = r.${ERROR_KEY}.name || 'FetchError';
+    e.status = r.${ERROR_KEY}.status;
+    e.body = r.${ERROR_KEY}.body;
+    throw e;
+  }
+  return r;
+}
+`;
+
+/**
+ * Collect the edits that route every pausing call through CHECK_FN, so an error delivered
+ * on resume is thrown where the user awaits the call's result (and try/catch/finally
+ * apply) however it is awaited: directly, through `?.`, or later from a variable.
+ * Returns whether any call was wrapped.
+ *
+ * @param {Set<any>} pausing Rewritten SDK calls, batches, waits and plain fetch() calls.
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ */
+function collectCheckEdits(pausing, edits) {
+  for (const node of pausing) {
+    edits.push({ start: node.start, end: node.start, text: `${CHECK_FN}(` });
+    edits.push({ start: node.end, end: node.end, text: ')' });
+  }
+  return pausing.size > 0;
+}
+
+const FUNCTION_NODES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const RESULT_VAR = '__sqResult';
+const RETURN_LABEL = '__sqReturn';
+
+/**
+ * Collect the edits that give top-level `return` statements normal JS semantics.
+ *
+ * The VM evaluates the program's completion value, so:
+ * - a single trailing `return x` becomes the expression statement `(x);`
+ * - otherwise the program is wrapped in a labeled block and every top-level return
+ *   becomes `{ __sqResult = (x); break __sqReturn; }`, with `__sqResult` as the final expression.
+ *
+ * Returns inside functions are left alone. Returns the rewritten statements (so no
+ * semicolon gets appended to them) and whether the program needs the labeled wrapper.
+ *
+ * @param {any} ast
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ */
+function collectReturnEdits(ast, edits) {
+  const returns = [];
+  walk(ast, (node) => {
+    if (FUNCTION_NODES.has(node.type)) return false;
+    if (node.type === 'ReturnStatement') returns.push(node);
+  });
+  if (!returns.length) return { handled: new Set(), wrap: false };
+
+  const last = ast.body[ast.body.length - 1];
+  const trailingOnly = returns.length === 1 && returns[0] === last;
+
+  for (const node of returns) {
+    const arg = node.argument;
+    if (trailingOnly) {
+      if (!arg) edits.push({ start: node.start, end: node.end, text: 'undefined;' });
+      else {
+        edits.push({ start: node.start, end: arg.start, text: '(' });
+        edits.push({ start: arg.end, end: node.end, text: ');' });
+      }
+    } else if (!arg) {
+      edits.push({ start: node.start, end: node.end, text: `{ ${RESULT_VAR} = undefined; break ${RETURN_LABEL}; }` });
+    } else {
+      edits.push({ start: node.start, end: arg.start, text: `{ ${RESULT_VAR} = (` });
+      edits.push({ start: arg.end, end: node.end, text: `); break ${RETURN_LABEL}; }` });
+    }
+  }
+
+  return { handled: new Set(returns), wrap: !trailingOnly };
+}
+
+// Statements whose grammar ends in `;` (and therefore rely on ASI when it is missing).
+const SEMICOLON_STATEMENTS = new Set([
+  'ExpressionStatement', 'VariableDeclaration', 'ReturnStatement', 'ThrowStatement',
+  'BreakStatement', 'ContinueStatement', 'DebuggerStatement', 'DoWhileStatement',
+  'PropertyDefinition',
+]);
+
+/**
+ * Collect the edits that make every automatically inserted semicolon explicit.
+ * The parser already applied the real ASI rules, so we only materialize its decisions.
+ *
+ * @param {any} ast
+ * @param {string} code
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ * @param {Set<any>} [skip] Statements that were already rewritten.
+ */
+function collectSemicolonEdits(ast, code, edits, skip = new Set()) {
+  walk(ast, (node, parent) => {
+    if (!SEMICOLON_STATEMENTS.has(node.type) || skip.has(node)) return;
+    // Declarations in for-loop heads are not statements.
+    if (node.type === 'VariableDeclaration' && parent && (
+      (parent.type === 'ForStatement' && parent.init === node) ||
+      ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node)
+    )) return;
+    if (code[node.end - 1] !== ';') edits.push({ start: node.end, end: node.end, text: ';' });
+  });
+}
+
+/**
+ * Collect the edits that strip comments. Comments inside an already-replaced range are
+ * dropped along with it; block comments spanning lines keep a line break, other block
+ * comments a space, so the tokens on either side never run together.
+ *
+ * @param {any[]} comments
+ * @param {Array<{ start: number, end: number, text: string }>} edits
+ */
+function collectCommentEdits(comments, edits) {
+  const replaced = edits.filter(e => e.end > e.start);
+  for (const c of comments) {
+    if (replaced.some(e => e.start <= c.start && c.end <= e.end)) continue;
+    let text = '';
+    if (c.type === 'Block') text = /[\n\r\u2028\u2029]/.test(c.value) ? '\n' : ' ';
+    edits.push({ start: c.start, end: c.end, text });
+  }
+}
+
+/**
+ * Normalize user code:
+ * - Trim
+ * - Strip comments
+ * - Transform SDK calls -> fetch()
+ * - Wrap pausing calls so resumeWithError() can throw into the code
+ * - Make semicolons inserted by ASI explicit
+ * - Rewrite top-level `return` statements so the VM's completion value is the returned value
+ *
+ * Returns the normalized code, a position map back to `code` (see applyEdits()) and the
+ * names of the specs it calls.
+ *
+ * @param {string} code
+ * @param {any} registry Registered specs to rewrite calls against
+ * @param {{ args?: any }} [options] `args` is exposed to the code as `args` (sub-workflows)
+ */
+function normalize(code, registry, options = {}) {
+  const comments = [];
+  const ast = parseProgram(code, comments);
+
+  const edits = [];
+  const roots = resolveCallRoots(ast);
+  const { pausing, described, used } = collectCallEdits(ast, edits, registry, roots.local);
+  const checked = collectCheckEdits(pausing, edits);
+  const { handled, wrap } = collectReturnEdits(ast, edits);
+  collectSemicolonEdits(ast, code, edits, handled);
+  collectCommentEdits(comments, edits);
+
+  const applied = applyEdits(code, edits);
+  let result = applied.code.trimEnd();
+  const lead = result.length - result.trimStart().length;
+  result = result.slice(lead);
+
+  let prefix = '';
+  if (wrap) {
+    prefix = `var ${RESULT_VAR};\n${RETURN_LABEL}: {\n`;
+    result = `${prefix}${result}\n}\n${RESULT_VAR}`;
+  }
+  let prelude = (checked ? CHECK_PRELUDE : '') + (described ? REQUEST_PRELUDE : '');
+  if ('args' in options && !roots.program.has('args')) {
+    prelude = `var args = ${JSON.stringify(options.args ?? null)};\n` + prelude;
+  }
+  prefix = prelude + prefix;
+  result = prelude + result;
+
+  /** @type {Array<[number, number, number]>} */
+  const map = [];
+  for (const [out, src, len] of applied.map) {
+    if (len && out + len <= lead) continue;
+    const skip = len ? Math.max(0, lead - out) : 0;
+    map.push([Math.max(out + skip, lead) - lead + prefix.length, src + skip, len - skip]);
+  }
+
+  return { code: result, map, specs: [...used].sort() };
+}
+
+/**
+ * Add the names a binding pattern declares (`x`, `{ a, b: [c] }`, `...rest`, `d = 1`) to `names`.
+ *
+ * @param {any} p
+ * @param {Set<string>} names
+ */
+function addPatternNames(p, names) {
+  if (!p) return;
+  if (p.type === 'Identifier') names.add(p.name);
+  else if (p.type === 'ObjectPattern') p.properties.forEach(q => addPatternNames(q.type === 'RestElement' ? q.argument : q.value, names));
+  else if (p.type === 'ArrayPattern') p.elements.forEach(q => addPatternNames(q, names));
+  else if (p.type === 'RestElement') addPatternNames(p.argument, names);
+  else if (p.type === 'AssignmentPattern') addPatternNames(p.left, names);
+}
+
+/**
+ * Names a function body (or the program) hoists: its `var`s, wherever they are, short of
+ * nested functions.
+ *
+ * @param {any} body
+ * @param {Set<string>} names
+ */
+function addVarNames(body, names) {
+  walk(body, (node) => {
+    if (FUNCTION_NODES.has(node.type) && node !== body) return false;
+    if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+      for (const d of node.declarations) addPatternNames(d.id, names);
+    }
+  });
+}
+
+/**
+ * Names declared directly in a statement list by `let`/`const`, classes and functions.
+ *
+ * @param {any[]} statements
+ * @param {Set<string>} names
+ */
+function addLexicalNames(statements, names) {
+  for (const st of statements) {
+    if (st.type === 'VariableDeclaration' && st.kind !== 'var') {
+      for (const d of st.declarations) addPatternNames(d.id, names);
+    } else if (st.type === 'FunctionDeclaration' || st.type === 'ClassDeclaration') {
+      addPatternNames(st.id, names);
+    }
+  }
+}
+
+/**
+ * Resolve the root identifier of every call (`x` in `x()` or `x.a.b()`) against the
+ * scopes the code declares: variables, functions, classes, params and catch params, each
+ * visible only where JavaScript makes it visible.
+ *
+ * Returns the calls whose root is such a local binding (so it is not an SDK node or a
+ * built-in like sleep()) and the names the program declares at its top level.
+ *
+ * @param {any} ast
+ * @returns {{ local: Set<any>, program: Set<string> }}
+ */
+function resolveCallRoots(ast) {
+  /** @type {Set<any>} */
+  const local = new Set();
+  const program = new Set();
+  addVarNames(ast, program);
+  addLexicalNames(ast.body, program);
+
+  /** @param {string} name @param {any} scope */
+  const isBound = (name, scope) => {
+    for (let s = scope; s; s = s.parent) if (s.names.has(name)) return true;
+    return false;
+  };
+
+  /** @param {any} node @param {any} scope */
+  const visit = (node, scope) => {
+    if (!node || typeof node.type !== 'string') return;
+    let inner = scope;
+    const open = () => (inner = { names: new Set(), parent: scope });
+
+    if (FUNCTION_NODES.has(node.type)) {
+      open();
+      if (node.type !== 'FunctionDeclaration') addPatternNames(node.id, inner.names);
+      node.params.forEach(p => addPatternNames(p, inner.names));
+      if (node.body.type === 'BlockStatement') {
+        addVarNames(node.body, inner.names);
+        addLexicalNames(node.body.body, inner.names);
+        node.params.forEach(p => visit(p, inner));
+        node.body.body.forEach(st => visit(st, inner));
+        return;
+      }
+    } else if (node.type === 'BlockStatement' || node.type === 'StaticBlock') {
+      addLexicalNames(node.body, open().names);
+    } else if (node.type === 'SwitchStatement') {
+      addLexicalNames(node.cases.flatMap(c => c.consequent), open().names);
+    } else if (node.type === 'ForStatement' || node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+      const decl = node.type === 'ForStatement' ? node.init : node.left;
+      if (decl?.type === 'VariableDeclaration' && decl.kind !== 'var') addLexicalNames([decl], open().names);
+    } else if (node.type === 'CatchClause') {
+      addPatternNames(node.param, open().names);
+    } else if (node.type === 'ClassExpression' && node.id) {
+      addPatternNames(node.id, open().names);
+    } else if (node.type === 'CallExpression') {
+      const root = node.callee.type === 'Identifier' ? node.callee.name : memberPath(node.callee)?.root;
+      if (root && isBound(root, scope)) local.add(node);
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(c => visit(c, inner));
+      else if (child && typeof child.type === 'string') visit(child, inner);
+    }
+  };
+  visit(ast, { names: program, parent: null });
+  return { local, program };
+}
+
+/**
+ * Static keys of an object-literal argument, or null when they cannot be known
+ * (not a literal, computed keys, spreads).
+ *
+ * @param {any} arg
+ */
+function literalKeys(arg) {
+  if (!arg || arg.type !== 'ObjectExpression') return null;
+  const keys = new Set();
+  for (const p of arg.properties) {
+    if (p.type !== 'Property' || p.computed) return null;
+    keys.add(p.key.type === 'Identifier' ? p.key.name : String(p.key.value));
+  }
+  return keys;
+}
+
+/**
+ * A param is only required unconditionally when its show/hide rules depend on nothing
+ * but the operation.
+ *
+ * @param {any} node NodeEntry
+ * @param {any} param
+ */
+function dependsOnlyOnOp(node, param) {
+  const keys = [...Object.keys(param.show ?? {}), ...Object.keys(param.hide ?? {})];
+  return keys.every(k => node.opKey && k === `actions.${node.opKey}`);
+}
+
+/**
+ * Statically analyze workflow code against the registered specs and node registry.
+ *
+ * Returns every registered SDK call with its position (`line` 1-based, `column` 0-based,
+ * plus `start`/`end` offsets), and diagnostics for:
+ * - `syntax`: the code does not parse
+ * - `unknown-method`: a method that the registered node/spec does not have (error)
+ * - `unknown-node`: `x.method()` where `x` is neither registered, declared nor a global (warning)
+ * - `missing-param`: a required param (per the operation's inputParameters/action params)
+ *   absent from an object-literal argument (warning)
+ *
+ * @param {string} code
+ */
+export function analyze(code) {
+  return analyzeWith(defaultRuntime.registry, code);
+}
+
+/** @param {any} registry @param {string} code */
+function analyzeWith(registry, code) {
+  const calls = [];
+  const diagnostics = [];
+  const at = (node) => ({
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column,
+    start: node.start,
+    end: node.end,
+  });
+
+  let ast;
+  try {
+    ast = parseProgram(code);
+  } catch (e) {
+    if (!(e instanceof CompileError)) throw e;
+    diagnostics.push({ severity: 'error', code: 'syntax', message: e.message, line: e.line, column: e.column });
+    return { calls, diagnostics };
+  }
+
+  const index = specIndex(registry);
+  const { local } = resolveCallRoots(ast);
+
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || local.has(node)) return;
+    const ref = memberPath(node.callee);
+    if (!ref) return;
+    const name = `${ref.root}.${ref.path}`;
+    const methods = index.get(ref.root);
+
+    if (!methods) {
+      if (!(ref.root in globalThis)) {
+        diagnostics.push({ severity: 'warning', code: 'unknown-node', message: `Unknown node ${ref.root} (in ${name})`, node: ref.root, ...at(node.callee) });
+      }
+      return;
+    }
+
+    const entry = registry.bySdkName.get(ref.root);
+    if (!methods.has(ref.path)) {
+      diagnostics.push({ severity: 'error', code: 'unknown-method', message: `Unknown method ${name}`, node: ref.root, method: ref.path, ...at(node.callee) });
+      return;
+    }
+
+    const method = entry?.methods.find(m => m.call === ref.path);
+    calls.push({
+      node: ref.root,
+      method: ref.path,
+      rawNode: entry?.rawName,
+      operation: method?.raw,
+      url: methods.get(ref.path).url,
+      httpMethod: methods.get(ref.path).method ?? 'GET',
+      ...at(node),
+    });
+    if (!entry || !method) return;
+
+    const arg = node.arguments[0];
+    const keys = arg ? literalKeys(arg) : new Set();
+    if (!keys) return;
+    for (const f of operationParams(entry, method)) {
+      if (f.optional || keys.has(f.name)) continue;
+      if (f.source !== 'input' && f.source !== 'action') continue;
+      if (!dependsOnlyOnOp(entry, f.param)) continue;
+      diagnostics.push({
+        severity: 'warning',
+        code: 'missing-param',
+        message: `Missing required param "${f.name}" for ${name}`,
+        node: ref.root,
+        method: ref.path,
+        param: f.name,
+        ...at(arg ?? node),
+      });
+    }
+  });
+
+  return { calls, diagnostics };
+}
+
+/**
+ * Records stored before return rewriting returned `{ a, b }` as `[a, b]` plus `keys`.
+ *
+ * @param {any} result
+ * @param {string[] | null} [keys]
+ */
+function reconstruct(result, keys) {
+  if (!keys || !Array.isArray(result)) return result;
+  return Object.fromEntries(keys.map((k, i) => [k, result[i]]));
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/**
+ * Parse a duration: milliseconds, or a string like `'500ms'`, `'90s'`, `'2h'`, `'1h30m'`, `'3d'`.
+ * Returns NaN when it is not one.
+ *
+ * @param {any} value
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : NaN;
+  const text = String(value ?? '').replace(/\s+/g, '');
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d|w))+$/.test(text)) return NaN;
+  let ms = 0;
+  for (const [, n, , unit] of text.matchAll(/(\d+(\.\d+)?)(ms|s|m|h|d|w)/g)) ms += Number(n) * DURATION_UNITS[unit];
+  return ms;
+}
+
+/**
+ * Read a sleep()/waitForEvent()/workflow() pause: `{ kind: 'sleep' | 'event' | 'workflow', args }`,
+ * or null for other requests.
+ *
+ * @param {any} fetchRequest
+ */
+function waitOf(fetchRequest) {
+  const url = String(fetchRequest?.url ?? '');
+  const is = (pseudo) => url === pseudo || url.startsWith(pseudo + '?');
+  const kind = is(SLEEP_URL) ? 'sleep' : is(EVENT_URL) ? 'event' : is(WORKFLOW_URL) ? 'workflow' : null;
+  if (!kind) return null;
+  return { kind, args: callOf(fetchRequest).args ?? [] };
+}
+
+/**
+ * Check the arguments of a sleep()/waitForEvent()/workflow() pause. Returns an error payload or null.
+ *
+ * @param {{ kind: string, args: any[] }} wait
+ */
+function invalidWait({ kind, args }) {
+  if (kind === 'sleep') {
+    return Number.isNaN(parseDuration(args[0]))
+      ? { name: 'TypeError', message: `sleep: invalid duration ${JSON.stringify(args[0])}` }
+      : null;
+  }
+  if (typeof args[0] !== 'string' || !args[0]) {
+    return { name: 'TypeError', message: `${kind === 'event' ? 'waitForEvent: event' : 'workflow:'} name must be a non-empty string` };
+  }
+  if (kind === 'workflow') return null;
+  const timeout = args[1]?.timeout;
+  if (timeout != null && Number.isNaN(parseDuration(timeout))) {
+    return { name: 'TypeError', message: `waitForEvent: invalid timeout ${JSON.stringify(timeout)}` };
+  }
+  return null;
+}
+
+/**
+ * Describe what a VM pause is waiting on: a single `fetch`, or a `batch` of requests
+ * (from `Promise.all`) that each carry a stable request id. Calls with a declared
+ * verb/encoding are exposed as `{ url, method, headers, body }`; calls to registered nodes
+ * carry `call: { node, method, args }`, and calls that need credentials say so under
+ * `credentials`.
+ *
+ * `sleep()` pauses are `{ wakeAt, duration }` and `waitForEvent()` pauses
+ * `{ event, timeoutAt? }` (times in ms since the epoch, fixed when the task pauses).
+ * `workflow()` pauses are `{ workflow, args, child }`, where `child` is the id of the
+ * task that runs it.
+ *
+ * @param {any} fetchRequest
+ * @param {string} taskId
+ * @param {number} step
+ * @param {any} registry
+ */
+function describePause(fetchRequest, taskId, step, registry) {
+  const wait = waitOf(fetchRequest);
+  if (wait?.kind === 'sleep') {
+    const duration = parseDuration(wait.args[0]);
+    return { wakeAt: Date.now() + duration, duration };
+  }
+  if (wait?.kind === 'workflow') {
+    return { workflow: wait.args[0], args: wait.args[1], child: `${taskId}:${step}:${wait.args[0]}` };
+  }
+  if (wait) {
+    const timeout = wait.args[1]?.timeout;
+    return timeout == null ? { event: wait.args[0] } : { event: wait.args[0], timeoutAt: Date.now() + parseDuration(timeout) };
+  }
+
+  const url = String(fetchRequest?.url ?? '');
+  const index = callIndex(registry);
+  if (!url.startsWith(BATCH_URL + '?')) return { fetch: describeRequest(fetchRequest, index) };
+  const requests = JSON.parse(new URL(url).searchParams.get('requests') ?? '[]');
+  return { batch: requests.map((req, i) => ({ id: `${taskId}:${step}:${i}`, ...describeRequest(req, index) })) };
+}
+
+/**
+ * One paused request as exposed to executors. Calls to registered nodes name the call
+ * under `call: { node, method, args }`. Calls to nodes that declare credentials list them
+ * under `credentials`; attachCredentials() fills them in at execution time.
+ *
+ * @param {any} raw
+ * @param {ReturnType<typeof callIndex>} index
+ */
+function describeRequest(raw, index) {
+  const request = decodeRequest(raw);
+  const { target, args } = findCall(index, raw);
+  if (!target) return request;
+  const described = { ...request, call: { node: target.node, method: target.method, args } };
+  const names = (target.entry?.credentials ?? []).map(c => c?.name).filter(Boolean);
+  if (names.length) {
+    described.credentials = names.map(name => ({ node: target.node, operation: target.method, name }));
+  }
+  return described;
+}
+
+/**
+ * Unpack a REQUEST_URL pseudo-request. Returns `{ request, target, args }`, where `target`
+ * (`[node, callPath]`) and `args` identify the SDK call (null for other requests).
+ *
+ * @param {any} req
+ */
+function unpackRequest(req) {
+  const url = String(req?.url ?? '');
+  if (!url.startsWith(REQUEST_URL + '?')) return { request: req, target: null, args: null };
+  const { t, a, r } = JSON.parse(new URL(url).searchParams.get('r') ?? '{}');
+  return { request: r, target: t, args: a };
+}
+
+/**
+ * The request as executors should perform it: `{ url, method, headers, body }` for calls
+ * with a declared verb/encoding, unchanged otherwise.
+ *
+ * @param {any} req
+ */
+function decodeRequest(req) {
+  return unpackRequest(req).request;
+}
+
+/**
+ * Order the responses for a batch pause. Accepts an array (same order as the batch)
+ * or an object keyed by request id.
+ *
+ * @param {Array<{ id: string }>} batch
+ * @param {any} data
+ */
+function batchResponses(batch, data) {
+  if (Array.isArray(data)) {
+    if (data.length !== batch.length) {
+      throw new Error(`Expected ${batch.length} responses, got ${data.length}`);
+    }
+    return data;
+  }
+  return batch.map((req) => {
+    if (!data || typeof data !== 'object' || !(req.id in data)) {
+      throw new Error(`Missing response for request ${req.id}`);
+    }
+    return data[req.id];
+  });
+}
+
+/**
+ * Index the registered calls so a paused request can be traced back to the one that
+ * produced it: `byCall` by node and call path, as named by REQUEST_URL pseudo-requests,
+ * and `byUrl` by target URL for legacy `?args=` calls (the only ones identified by URL,
+ * so verbs sharing a path never collide). Entries are `{ node, method, entry?, op? }`,
+ * with the NodeEntry and its operation for nodes-registry nodes.
+ *
+ * @param {any} registry
+ */
+function callIndex(registry) {
+  /** @type {Map<string, any>} */
+  const byCall = new Map();
+  /** @type {Map<string, any>} */
+  const byUrl = new Map();
+  for (const { name, base, methods } of registry.specs) {
+    const node = registry.bySdkName.get(name);
+    for (const m of methods) {
+      const op = node?.methods.find(o => o.call === m.callPath);
+      const target = { node: name, method: m.callPath, entry: op && node, op };
+      byCall.set(JSON.stringify([name, m.callPath]), target);
+      const url = `${base}/${m.urlPath}`;
+      if (!m.method && !byUrl.has(url)) byUrl.set(url, target);
+    }
+  }
+  return { byCall, byUrl };
+}
+
+/**
+ * The registered call behind a paused request (see callIndex()), and its arguments.
+ *
+ * @param {ReturnType<typeof callIndex>} index
+ * @param {any} raw
+ */
+function findCall(index, raw) {
+  const { call, key, args } = callOf(raw);
+  const target = call ? index.byCall.get(JSON.stringify(call)) : index.byUrl.get(key);
+  return { target, args };
+}
+
+/**
+ * Identify the SDK call behind a paused request: `{ call: [node, callPath], args }` for
+ * REQUEST_URL pseudo-requests, `{ key, args }` with the target URL otherwise.
+ *
+ * @param {any} raw
+ */
+function callOf(raw) {
+  const { target, args } = unpackRequest(raw);
+  if (Array.isArray(target)) return { call: target, args };
+  if (target) return { key: target, args }; // stored before calls carried their identity
+
+  // Legacy form: <target>?args=<json>
+  const u = String(raw?.url ?? '');
+  const q = u.indexOf('?');
+  const encoded = q < 0 ? null : new URLSearchParams(u.slice(q + 1)).get('args');
+  let parsed = [];
+  if (encoded != null) {
+    try { parsed = JSON.parse(encoded); } catch { parsed = []; }
+  }
+  return { key: q < 0 ? u : u.slice(0, q), args: parsed };
+}
+
+/**
+ * Validate the SDK calls a VM pause is about to emit. Returns a serializable
+ * ValidationError payload for the first invalid call (or an error payload for invalid
+ * sleep()/waitForEvent() arguments), or null.
+ *
+ * @param {any} fetchRequest
+ * @param {any} registry
+ */
+function validatePause(fetchRequest, registry) {
+  const wait = waitOf(fetchRequest);
+  if (wait) return invalidWait(wait);
+
+  const url = String(fetchRequest?.url ?? '');
+  const raws = url.startsWith(BATCH_URL + '?')
+    ? JSON.parse(new URL(url).searchParams.get('requests') ?? '[]')
+    : [fetchRequest];
+
+  let index = null;
+  for (const raw of raws) {
+    index ??= callIndex(registry);
+    const { target, args } = findCall(index, raw);
+    if (!target?.entry) continue;
+    const issues = validateParams(target.entry, target.op, args?.[0]);
+    if (issues.length) return new ValidationError(target.node, target.method, issues).toJSON();
+  }
+  return null;
+}
+
+/**
+ * Build the stored record for a paused VM and the paused result returned to the caller.
+ *
+ * The record's `step` counts pauses so far and doubles as its version for compareAndSet().
+ * The TTL only applies to tasks paused on requests, not to sleeping or waiting ones.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} paused The VM's paused frame, variables as `[name, value]` entries (see runStep())
+ * @param {any} r VM pause result
+ * @param {{ code: string, source?: string, codeHash?: string, map?: any[], specs?: string[], step?: number, createdAt?: number, ttl?: number, journal?: any, parent?: { id: string, step: number }, root?: string, depth?: number, limits?: any, stateless?: boolean }} prev
+ *   Normalized code (with the original source and position map) plus the bookkeeping
+ *   of the previous record (if any).
+ */
+function pauseRecord(ctx, id, paused, r, prev) {
+  const step = prev.step ?? 0;
+  const now = Date.now();
+  const pause = describePause(r.fetchRequest, id, step, ctx.registry);
+  const status = pauseStatus(pause);
+  const record = {
+    ...recordStamp(ctx, prev),
+    code: prev.code,
+    source: prev.source,
+    map: prev.map,
+    specs: prev.specs,
+    state: r.state,
+    paused,
+    status,
+    step: step + 1,
+    pause,
+    createdAt: prev.createdAt ?? now,
+    updatedAt: now,
+    ttl: prev.ttl,
+    expiresAt: prev.ttl && status === 'paused' ? now + prev.ttl : undefined,
+    parent: prev.parent,
+    root: prev.root,
+    depth: prev.depth,
+    limits: prev.limits,
+    stateless: prev.stateless,
+    journal: prev.journal && redactJournal(ctx, journalPause(prev.journal, step + 1, pause)),
+  };
+  const result = { id, status, step: step + 1, ...pause };
+  if (prev.parent) result.parent = prev.parent.id;
+  return { record, result };
+}
+
+/** Statuses of a stored task that can be resumed. */
+const PAUSED_STATUSES = new Set(['paused', 'sleeping', 'waiting']);
+
+/**
+ * Task status for a pause: `sleeping` (sleep()), `waiting` (waitForEvent(), workflow()) or `paused`.
+ *
+ * @param {any} pause
+ */
+function pauseStatus(pause) {
+  if (pause.wakeAt != null) return 'sleeping';
+  if (pause.event != null || pause.workflow != null) return 'waiting';
+  return 'paused';
+}
+
+/**
+ * Journal bookkeeping. A journal lists every pause with the request(s) it waited on,
+ * the response (or error) fed back, timestamps, and finally the outcome.
+ *
+ * @param {any} journal
+ * @param {number} step
+ * @param {any} pause `{ fetch }` or `{ batch }`
+ */
+function journalPause(journal, step, pause) {
+  return { ...journal, entries: [...journal.entries, { step, ...pause, pausedAt: Date.now() }] };
+}
+
+/** @param {any} journal @param {any} input What was fed to the paused await */
+function journalResume(journal, input) {
+  const entries = journal.entries.slice();
+  const last = { ...entries[entries.length - 1], resumedAt: Date.now() };
+  if (input && typeof input === 'object' && input[ERROR_KEY]) last.error = input[ERROR_KEY];
+  else last.response = input;
+  entries[entries.length - 1] = last;
+  return { ...journal, entries };
+}
+
+/**
+ * Build the final result for a finished VM run, closing and saving the journal if any.
+ * Errors get a `location` in the original source when one can be determined.
+ *
+ * A finished sub-workflow resumes its parent with its result (or error); the parent's
+ * next result is returned, with this one under `child`.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} r VM result (`complete` or `error`), or a tripped limit (see exceeded())
+ * @param {{ journal?: any, keys?: string[] | null, source?: string, code?: string, map?: any[], location?: any, parent?: { id: string, step: number }, root?: string, step?: number, createdAt?: number, stepStartedAt?: number }} task
+ */
+async function finish(ctx, id, r, task) {
+  const { journal, keys, parent } = task;
+  /** @type {any} */
+  let result;
+  // The parent program gets the child's own value; only what is reported is redacted.
+  const value = r.type === 'complete' ? reconstruct(r.result, keys) : undefined;
+  if (r.type === 'complete') {
+    result = { id, status: 'done', result: redact(ctx, value) };
+  } else if (r.type === 'limit') {
+    result = { id, status: 'limit_exceeded', limit: r.limit, error: r.error };
+  } else {
+    result = { id, status: 'error', error: redact(ctx, r.error) };
+    const location = task.location ?? locateError(r.error, task);
+    if (location) result.location = location;
+  }
+  if (parent) result.parent = parent.id;
+
+  if (journal) {
+    const final = redactJournal(ctx, { ...journal, finishedAt: Date.now(), status: result.status });
+    if (result.status === 'done') final.result = result.result;
+    else final.error = result.error;
+    await ctx.journals?.set(id, final);
+    result.journal = final;
+  }
+  await emitEnd(ctx, id, task, result);
+  if (!parent || ctx.replaying) return result;
+
+  const next = result.status === 'done'
+    ? await deliver(ctx, parent.id, value, { step: parent.step })
+    : await deliverError(ctx, parent.id, childError({ ...result, error: r.error }), { step: parent.step });
+  return { ...next, child: result };
+}
+
+/**
+ * The error a failed sub-workflow throws in its parent.
+ *
+ * @param {any} result The child's error result
+ */
+function childError(result) {
+  const e = result.error;
+  const message = typeof e === 'string' ? e : (e?.message ?? 'Workflow failed');
+  return { ...(typeof e === 'object' ? e : {}), name: e?.name ?? 'WorkflowError', message };
+}
+
+/** How deeply workflow() calls may nest when `limits.maxDepth` is not set. */
+const DEFAULT_MAX_DEPTH = 10;
+
+/**
+ * Start the child task of a `workflow()` pause. Returns the child's result (its first
+ * pause, or the parent's next result if it finished right away). The child inherits the
+ * parent's limits, TTL and journaling. Unknown workflow names, and calls nested deeper
+ * than `limits.maxDepth` (so runaway recursion too), are thrown into the parent.
+ *
+ * @param {any} ctx
+ * @param {string} parentId
+ * @param {any} paused The parent's paused result
+ * @param {{ root?: string, limits?: any, ttl?: number, journal?: any, depth?: number }} from The parent's record
+ */
+async function spawn(ctx, parentId, paused, from) {
+  if (paused.workflow == null || ctx.replaying) return paused;
+  const parent = { id: parentId, step: paused.step };
+  const code = ctx.registry.workflows.get(paused.workflow);
+  if (code == null) {
+    return deliverError(ctx, parentId, { name: 'WorkflowError', message: `Unknown workflow ${paused.workflow}` }, parent);
+  }
+  const depth = (from.depth ?? 0) + 1;
+  const maxDepth = from.limits?.maxDepth ?? DEFAULT_MAX_DEPTH;
+  if (depth > maxDepth) {
+    const message = `Workflow ${paused.workflow} would nest deeper than ${maxDepth} levels`;
+    return deliverError(ctx, parentId, { name: 'WorkflowError', message }, parent);
+  }
+  return start(ctx, code, paused.child, {
+    parent,
+    args: paused.args,
+    root: from.root ?? parentId,
+    depth,
+    limits: from.limits,
+    ttl: from.ttl,
+    journal: !!from.journal,
+  });
+}
+
+/**
+ * A tripped limit, in the shape finish() expects.
+ *
+ * @param {'maxStepMs' | 'maxPauses' | 'maxStateBytes' | 'maxAgeMs'} limit
+ * @param {string} error
+ */
+function exceeded(limit, error) {
+  return { type: 'limit', limit, error };
+}
+
+/**
+ * Run one VM step (see runStep()) under `limits.maxStepMs`. A step that runs out of time
+ * is stopped, busy loops included, and comes back as a tripped limit.
+ *
+ * @param {{ code: string } | { state: any, paused: any, input: any }} job
+ * @param {any} limits
+ * @returns {Promise<{ r: any, paused?: any }>}
+ */
+async function withinStep(job, limits) {
+  const ms = limits?.maxStepMs;
+  const out = await runStep(job, ms);
+  if ('timedOut' in out) return { r: exceeded('maxStepMs', `Step ran longer than ${ms}ms`) };
+  return out;
+}
+
+/** @param {any} stored @param {any} limits @param {number} [now] */
+function ageExceeded(stored, limits, now = Date.now()) {
+  const max = limits?.maxAgeMs;
+  if (max == null || stored.createdAt == null || now - stored.createdAt <= max) return null;
+  return exceeded('maxAgeMs', `Task is older than ${max}ms`);
+}
+
+/**
+ * Check a paused record against the task's limits (pauses, state size, age).
+ *
+ * @param {any} record
+ * @param {any} limits
+ */
+function recordExceeded(record, limits) {
+  if (!limits) return null;
+  if (limits.maxPauses != null && record.step > limits.maxPauses) {
+    return exceeded('maxPauses', `Task paused more than ${limits.maxPauses} times`);
+  }
+  if (limits.maxStateBytes != null) {
+    const bytes = stateSize(record);
+    if (bytes > limits.maxStateBytes) {
+      return exceeded('maxStateBytes', `Task state is ${bytes} bytes (limit ${limits.maxStateBytes})`);
+    }
+  }
+  return ageExceeded(record, limits, record.updatedAt);
+}
+
+/**
+ * Size in bytes of a record's serialized VM state and variables.
+ *
+ * @param {any} record
+ */
+function stateSize(record) {
+  try {
+    return new TextEncoder().encode(JSON.stringify({ state: record.state, paused: record.paused })).length;
+  } catch {
+    return 0; // not JSON-serializable: left to the storage adapter
+  }
+}
+
+/**
+ * Call the `name` hook of every hook set in `ctx.hooks` (an object or an array of them).
+ * Hook failures are swallowed so they cannot break the task.
+ *
+ * @param {any} ctx
+ * @param {'onStart' | 'onPause' | 'onResume' | 'onStepError' | 'onComplete' | 'onError'} name
+ * @param {any} event
+ */
+async function emit(ctx, name, event) {
+  const { hooks } = ctx;
+  if (!hooks) return;
+  const redacted = redact(ctx, event);
+  for (const set of Array.isArray(hooks) ? hooks : [hooks]) {
+    try {
+      await set?.[name]?.(redacted);
+    } catch {
+      // ignored
+    }
+  }
+}
+
+/**
+ * The requests of a described pause as `{ id?, node?, method?, httpMethod, url }`.
+ *
+ * @param {any} pause
+ */
+function pauseCalls(pause) {
+  const requests = pause?.batch ?? (pause?.fetch ? [pause.fetch] : []);
+  return requests.map(req => ({
+    id: req.id,
+    node: req.call?.node,
+    method: req.call?.method,
+    httpMethod: req.method ?? req.init?.method ?? 'GET',
+    url: req.url,
+  }));
+}
+
+/**
+ * Report a stored pause to the `onPause` hooks.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} record
+ * @param {number} stepStartedAt
+ */
+async function emitPause(ctx, id, record, stepStartedAt) {
+  const time = Date.now();
+  await emit(ctx, 'onPause', {
+    id,
+    root: record.root ?? id,
+    parent: record.parent?.id,
+    step: record.step,
+    status: record.status,
+    calls: pauseCalls(record.pause),
+    pause: record.pause,
+    durationMs: time - stepStartedAt,
+    stateBytes: stateSize(record),
+    time,
+  });
+}
+
+/**
+ * Report a finished task to the `onComplete` (done) or `onError` (any other status) hooks.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {{ root?: string, parent?: { id: string }, step?: number, createdAt?: number, stepStartedAt?: number }} task
+ * @param {any} result
+ */
+async function emitEnd(ctx, id, task, result) {
+  const time = Date.now();
+  const createdAt = task.createdAt ?? task.stepStartedAt ?? time;
+  const done = result.status === 'done';
+  await emit(ctx, done ? 'onComplete' : 'onError', {
+    id,
+    root: task.root ?? id,
+    parent: task.parent?.id,
+    step: task.step ?? 0,
+    status: result.status,
+    ...(done ? { result: result.result } : { error: result.error }),
+    createdAt,
+    durationMs: time - (task.stepStartedAt ?? time),
+    totalMs: time - createdAt,
+    time,
+  });
+}
+
+/**
+ * Replace (or delete, with `value === undefined`) the record at `expected` step.
+ * Uses the adapter's atomic compareAndSet() when it has one.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {number} expected
+ * @param {any} value
+ */
+async function commit(ctx, id, expected, value) {
+  const { storage } = ctx;
+  if (typeof storage.compareAndSet === 'function') {
+    return storage.compareAndSet(id, expected, value);
+  }
+  const current = await storage.get(id);
+  if (!current || (current.step ?? 0) !== expected) return false;
+  if (value === undefined) await storage.del(id);
+  else await storage.set(id, value);
+  return true;
+}
+
+/** @param {string} id @param {number} step */
+function conflict(id, step) {
+  return { id, status: 'conflict', error: `Task ${id} is no longer at step ${step}` };
+}
+
+/**
+ * Layout version of stored task records. Bump it whenever the record shape or the VM
+ * state it holds changes incompatibly, so old records go through migrations.
+ * Records written before versioning count as version 0.
+ */
+const RECORD_VERSION = 1;
+
+/** Version of the installed `sequential-fetch` VM, when its package.json is readable. */
+function vmVersion() {
+  try {
+    return require('sequential-fetch/package.json').version;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Short non-cryptographic hash (64 bits, hex) used to notice changed code or specs.
+ *
+ * @param {string} text
+ */
+function hashText(text) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash of the currently registered calls (URLs, verbs, encodings) of the named specs,
+ * so re-registering one of them under another endpoint changes it.
+ *
+ * @param {any} registry
+ * @param {string[]} [names]
+ */
+function specsHash(registry, names = []) {
+  const index = specIndex(registry);
+  const specs = [...names].sort().map(name => [name, [...(index.get(name) ?? [])].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))]);
+  return hashText(JSON.stringify(specs));
+}
+
+/**
+ * Hash of what normalize() makes of a task's source against `registry`, leaving out the
+ * `args` of sub-workflows so parent and child hash the same source alike.
+ *
+ * @param {any} registry
+ * @param {string} source
+ */
+function sourceHash(registry, source) {
+  return hashText(normalize(source, registry).code);
+}
+
+/**
+ * The code hash a record's source gets from the running library and registry, or its
+ * stored one when the source is not kept (stateless tokens). Undefined when the source
+ * no longer compiles.
+ *
+ * @param {any} ctx
+ * @param {{ source?: string, codeHash?: string }} record
+ */
+function currentCodeHash(ctx, record) {
+  if (record.source == null) return record.codeHash;
+  try {
+    return sourceHash(ctx.registry, record.source);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Version fields saved with every paused record. The `codeHash` is taken when the task
+ * starts (see sourceHash()) and carried over from record to record.
+ *
+ * @param {any} ctx
+ * @param {{ codeHash?: string, specs?: string[] }} record
+ */
+function recordStamp(ctx, record) {
+  return {
+    version: RECORD_VERSION,
+    vm: vmVersion(),
+    codeHash: record.codeHash,
+    specsHash: specsHash(ctx.registry, record.specs),
+  };
+}
+
+/**
+ * Check a stored record against the running library and registry. Incompatible records
+ * go through the migrations (see defineMigration()) in order; the first one to return a
+ * record wins and is resumed (and saved by that resume). Without one, the task is left
+ * as is and `{ status: 'incompatible_state' }` is returned.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} stored
+ * @returns {Promise<{ stored: any } | { result: any }>}
+ */
+async function upgrade(ctx, id, stored) {
+  const to = { ...recordStamp(ctx, stored), codeHash: currentCodeHash(ctx, stored) };
+  const reasons = [];
+  if ((stored.version ?? 0) !== to.version) reasons.push('version');
+  if (stored.vm && to.vm && stored.vm !== to.vm) reasons.push('vm');
+  if (stored.codeHash != null && stored.codeHash !== to.codeHash) reasons.push('code');
+  if (stored.specsHash != null && stored.specsHash !== to.specsHash) reasons.push('specs');
+  if (!reasons.length) return { stored };
+
+  const from = { version: stored.version ?? 0, vm: stored.vm, codeHash: stored.codeHash, specsHash: stored.specsHash };
+  for (const migrate of ctx.registry.migrations) {
+    const next = await migrate(stored, { id, reasons, from, to });
+    if (next) return { stored: { ...next, ...recordStamp(ctx, next), codeHash: currentCodeHash(ctx, next) } };
+  }
+  const error = `Task ${id} does not match the running library or registry (${reasons.join(', ')}); ` +
+    'define a migration with defineMigration() to resume it';
+  return { result: { id, status: 'incompatible_state', reasons, error } };
+}
+
+/**
+ * Raised by resume()/resumeWithError() for a state token that fails verification:
+ * tampered, malformed, signed with another secret or issued for another task id.
+ */
+export class TokenError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const TOKEN_VERSION = 'sq1';
+const TOKEN_ENCRYPTED = 'sq1e';
+
+/**
+ * Derive the signing (HMAC-SHA-256) and, with `encrypt`, encryption (AES-GCM) keys
+ * from the configured secret.
+ *
+ * @param {{ secret: string | Uint8Array, encrypt?: boolean } | undefined} config
+ */
+async function tokenKeys(config) {
+  if (!config?.secret) throw new Error('Stateless tasks need a token secret (run.tokens = { secret })');
+  const { subtle } = webcrypto;
+  const raw = typeof config.secret === 'string' ? new TextEncoder().encode(config.secret) : config.secret;
+  const base = await subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+  /** @param {string} info @param {any} algorithm @param {any[]} usages */
+  const derive = (info, algorithm, usages) => subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(info) },
+    base, algorithm, false, usages
+  );
+  return {
+    sign: await derive('sequential/token/sign', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign', 'verify']),
+    encrypt: config.encrypt ? await derive('sequential/token/encrypt', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']) : null,
+  };
+}
+
+/** @param {Uint8Array} bytes */
+function toBase64Url(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** @param {string} text */
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+/** @param {Uint8Array[]} parts */
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+/**
+ * Serialize a paused record into a token: `<version>.<payload>.<mac>`, where the payload
+ * is the deflated JSON (AES-GCM encrypted with `encrypt`) and the MAC covers the version,
+ * the task id and the payload. `source` and `map` are left out to keep tokens small.
+ *
+ * @param {any} config `{ secret, encrypt? }`
+ * @param {string} id
+ * @param {any} record
+ */
+async function sealToken(config, id, record) {
+  const keys = await tokenKeys(config);
+  const { source, map, ...rest } = record;
+  // JSON has no `undefined`; tag it so paused VM variables round-trip.
+  const json = JSON.stringify(rest, function (key, v) {
+    return v === undefined && Array.isArray(this) ? { $sq: 'undefined' } : v;
+  });
+  let payload = new Uint8Array(deflateRawSync(json));
+  let version = TOKEN_VERSION;
+  if (keys.encrypt) {
+    const iv = webcrypto.getRandomValues(new Uint8Array(12));
+    const sealed = await webcrypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.encrypt, payload);
+    payload = concatBytes(iv, new Uint8Array(sealed));
+    version = TOKEN_ENCRYPTED;
+  }
+  const body = `${version}.${toBase64Url(payload)}`;
+  const mac = await webcrypto.subtle.sign('HMAC', keys.sign, new TextEncoder().encode(`${id}.${body}`));
+  return `${body}.${toBase64Url(new Uint8Array(mac))}`;
+}
+
+/**
+ * Verify and decode a token from sealToken() back into a paused record.
+ * Throws TokenError when it was not issued for `id` with the configured secret.
+ *
+ * @param {any} config `{ secret, encrypt? }`
+ * @param {string} id
+ * @param {string} token
+ */
+async function openToken(config, id, token) {
+  const keys = await tokenKeys(config);
+  const [version, encoded, mac, extra] = String(token).split('.');
+  if (extra !== undefined || !encoded || !mac || (version !== TOKEN_VERSION && version !== TOKEN_ENCRYPTED)) {
+    throw new TokenError('Malformed state token');
+  }
+  let payload;
+  try {
+    const valid = await webcrypto.subtle.verify(
+      'HMAC', keys.sign, fromBase64Url(mac), new TextEncoder().encode(`${id}.${version}.${encoded}`)
+    );
+    if (!valid) throw new TokenError(`Invalid state token for task ${id}`);
+    payload = fromBase64Url(encoded);
+    if (version === TOKEN_ENCRYPTED) {
+      if (!keys.encrypt) throw new TokenError('Encrypted state token, but token encryption is not configured');
+      const plain = await webcrypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: payload.subarray(0, 12) }, keys.encrypt, payload.subarray(12)
+      );
+      payload = new Uint8Array(plain);
+    } else if (keys.encrypt) {
+      throw new TokenError('Unencrypted state token, but token encryption is required');
+    }
+    const json = new TextDecoder().decode(inflateRawSync(payload));
+    return JSON.parse(json, (key, v) => (v && v.$sq === 'undefined' ? undefined : v));
+  } catch (e) {
+    if (e instanceof TokenError) throw e;
+    throw new TokenError(`Unreadable state token for task ${id}: ${e?.message ?? e}`);
+  }
+}
+
+/**
+ * Hand a paused record back to the caller as `result.token` instead of storing it.
+ * Sub-workflows need storage for the parent to wait in, so they end a stateless task.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} record
+ * @param {any} result
+ * @param {number} stepStartedAt
+ */
+async function detach(ctx, id, record, result, stepStartedAt) {
+  if (result.workflow != null) {
+    const error = { type: 'error', error: `workflow(${JSON.stringify(result.workflow)}) needs storage and cannot run in a stateless task` };
+    return finish(ctx, id, error, { ...record, stepStartedAt });
+  }
+  const token = await sealToken(ctx.tokens, id, record);
+  await emitPause(ctx, id, record, stepStartedAt);
+  return { ...result, token };
+}
+
+/**
+ * Load the paused record to resume: from `options.token` for stateless tasks,
+ * otherwise from storage.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {{ token?: string }} options
+ */
+async function pausedTask(ctx, id, options) {
+  if (options.token == null) return loadTask(ctx, id);
+  const stored = await openToken(ctx.tokens, id, options.token);
+  if (stored.expiresAt != null && stored.expiresAt <= Date.now()) return undefined;
+  return stored;
+}
+
+/**
+ * Read a stored task, dropping it if its TTL has passed.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ */
+async function loadTask(ctx, id) {
+  const stored = await ctx.storage.get(id);
+  if (stored?.expiresAt != null && stored.expiresAt <= Date.now()) {
+    await ctx.storage.del(id);
+    return undefined;
+  }
+  return stored;
+}
+
+/**
+ * Public view of a stored task (without the VM state).
+ *
+ * @param {string} id
+ * @param {any} stored
+ */
+function taskInfo(id, stored) {
+  return {
+    id,
+    status: stored.status ?? 'paused',
+    step: stored.step ?? 0,
+    createdAt: stored.createdAt,
+    updatedAt: stored.updatedAt,
+    expiresAt: stored.expiresAt,
+    parent: stored.parent?.id,
+    ...stored.pause,
+  };
+}
+
+/**
+ * Execute a workflow snippet.
+ *
+ * `options.ttl` (ms) expires the task if it stays paused that long; the clock
+ * restarts at every pause.
+ *
+ * `options.journal` records every pause, the data fed back and the outcome; the finished
+ * journal is returned on the final result and, when `run.journals` is set, kept there
+ * (see getJournal()).
+ *
+ * `options.limits` (merged over `run.limits`) bounds the task: `maxStepMs` per run/resume
+ * (enforced by running the step in a worker thread that is terminated on time-out),
+ * `maxPauses`, `maxStateBytes` of the serialized VM state and `maxAgeMs` since it started.
+ * A tripped limit ends the task with `{ status: 'limit_exceeded', limit, error }`.
+ * `maxDepth` (default 10) caps how deeply workflow() calls nest; a call past it throws a
+ * WorkflowError at the parent's await. Sub-workflows inherit the limits, TTL and journaling.
+ *
+ * `options.stateless` skips `run.storage`: each paused result carries a `token` holding
+ * the signed (and, with `run.tokens.encrypt`, encrypted) task state, to be passed back as
+ * `resume(id, data, { token })`. Nothing is stored, so a token can be resumed more than
+ * once and is not seen by getTask(), dueTasks() or deliverEvent().
+ *
+ * @param {string} code
+ * @param {string} [id]
+ * @param {{ ttl?: number, journal?: boolean, limits?: { maxStepMs?: number, maxPauses?: number, maxStateBytes?: number, maxAgeMs?: number, maxDepth?: number }, stateless?: boolean }} [options]
+ */
+export async function run(code, id, options = {}) {
+  return start(defaultRuntime, code, id, options);
+}
+
+/**
+ * run() against an explicit runtime context (`{ storage, journals?, credentials?, registry }`).
+ *
+ * @param {any} ctx
+ * @param {string} code
+ * @param {string} [id]
+ * @param {{ ttl?: number, journal?: boolean, limits?: any, stateless?: boolean, parent?: { id: string, step: number }, args?: any, root?: string, depth?: number }} [options]
+ */
+async function start(ctx, code, id, options = {}) {
+  const taskId = id || `t-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  if (options.stateless && !ctx.tokens?.secret) throw new Error('Stateless tasks need a token secret (run.tokens = { secret })');
+  const journal = options.journal ? { id: taskId, code, startedAt: Date.now(), entries: [] } : undefined;
+
+  const { parent } = options;
+  const root = options.root ?? taskId;
+  const stepStartedAt = Date.now();
+  await emit(ctx, 'onStart', { id: taskId, root, parent: parent?.id, time: stepStartedAt });
+
+  let normalized, map, specs;
+  try {
+    ({ code: normalized, map, specs } = normalize(code, ctx.registry, parent ? { args: options.args } : {}));
+  } catch (e) {
+    const location = locateError(e, { source: code });
+    return finish(ctx, taskId, { type: 'error', error: e?.message ?? String(e) }, { journal, parent, root, stepStartedAt, location });
+  }
+  const limits = options.limits || ctx.limits ? { ...ctx.limits, ...options.limits } : undefined;
+  const codeHash = parent ? sourceHash(ctx.registry, code) : hashText(normalized);
+  const task = { code: normalized, source: code, codeHash, map, specs, ttl: options.ttl, journal, parent, root, depth: options.depth, limits, stateless: options.stateless || undefined, stepStartedAt };
+
+  try {
+    let { r, paused } = await withinStep({ code: normalized }, limits);
+    const invalid = r.type === 'pause' && validatePause(r.fetchRequest, ctx.registry);
+    if (invalid) r = { type: 'error', error: invalid };
+
+    if (r.type === 'pause') {
+      const { record, result } = pauseRecord(ctx, taskId, paused, r, task);
+      const tripped = recordExceeded(record, limits);
+      if (tripped) return await finish(ctx, taskId, tripped, { ...task, journal: record.journal });
+      if (task.stateless) return await detach(ctx, taskId, record, result, stepStartedAt);
+      await ctx.storage.set(taskId, record);
+      await emitPause(ctx, taskId, record, stepStartedAt);
+      return await spawn(ctx, taskId, result, task);
+    }
+    return await finish(ctx, taskId, r, task);
+  } catch (e) {
+    const result = { id: taskId, status: 'error', error: redact(ctx, e?.message ?? String(e)) };
+    await emitEnd(ctx, taskId, task, result);
+    return result;
+  }
+}
+
+/**
+ * Build the envelope that makes the paused await throw.
+ *
+ * @param {any} error Error instance, `{ message, status?, body? }` or a message string
+ */
+function errorEnvelope(error) {
+  const e = typeof error === 'string' ? { message: error } : (error ?? {});
+  return {
+    [ERROR_KEY]: {
+      name: e.name,
+      message: String(e.message ?? 'Request failed'),
+      status: e.status,
+      body: e.body,
+    },
+  };
+}
+
+/**
+ * Resume a paused workflow snippet.
+ *
+ * For a batch pause, `data` is either an array of responses in batch order or an
+ * object keyed by request id.
+ *
+ * A `sleeping` task wakes up (`data` is ignored); before its `wakeAt` this throws unless
+ * `options.force` wakes it early. A `waiting` task gets `data` as the
+ * event payload, or a TimeoutError thrown at its `waitForEvent()` once the timeout has
+ * passed (see dueTasks() and deliverEvent()).
+ *
+ * Pass the `step` from the paused result as `options.step` to reject stale deliveries.
+ * When two resumes race for the same step only one advances the task; the other gets
+ * `{ status: 'conflict' }` and must not perform the next request.
+ *
+ * A stateless task (see run()) is resumed from `options.token` instead of storage; a
+ * token that fails verification throws a TokenError.
+ *
+ * Records saved by another library version, or before a spec the task calls was
+ * re-registered, go through defineMigration() migrations first; without a matching one
+ * the result is `{ status: 'incompatible_state', reasons, error }`.
+ *
+ * @param {string} id
+ * @param {any} data
+ * @param {{ step?: number, token?: string, force?: boolean }} [options]
+ */
+export async function resume(id, data, options = {}) {
+  return deliver(defaultRuntime, id, data, options);
+}
+
+/** resume() against an explicit runtime context. @param {any} ctx @param {string} id @param {any} data @param {{ step?: number, token?: string, force?: boolean }} [options] */
+async function deliver(ctx, id, data, options = {}) {
+  const found = await pausedTask(ctx, id, options);
+  if (!found) throw new Error(`Not found: ${id}`);
+  if (options.step != null && options.step !== (found.step ?? 0)) return conflict(id, options.step);
+  checkAwake(id, found, options);
+  const checked = await upgrade(ctx, id, found);
+  if ('result' in checked) return checked.result;
+  return advance(ctx, id, checked.stored, pauseInput(ctx, checked.stored, data));
+}
+
+/**
+ * Throw for a task that is asleep until a time still ahead, unless `options.force`.
+ *
+ * @param {string} id
+ * @param {any} stored
+ * @param {{ force?: boolean }} options
+ */
+function checkAwake(id, stored, options) {
+  const wakeAt = stored.pause?.wakeAt;
+  if (wakeAt == null || options.force || wakeAt <= Date.now()) return;
+  throw new Error(`Task ${id} is sleeping until ${new Date(wakeAt).toISOString()}; pass { force: true } to wake it early`);
+}
+
+/**
+ * What a resume feeds to the paused await: batch responses in order, nothing for a
+ * sleep, and a TimeoutError for a wait whose timeout has passed.
+ *
+ * @param {any} ctx
+ * @param {any} stored
+ * @param {any} data
+ */
+function pauseInput(ctx, stored, data) {
+  const { pause } = stored;
+  if (pause?.batch) return batchResponses(pause.batch, data);
+  if (pause?.wakeAt != null) return undefined;
+  if (pause?.timeoutAt != null && pause.timeoutAt <= Date.now()) {
+    return errorEnvelope({ name: 'TimeoutError', message: `Timed out waiting for event ${pause.event}` });
+  }
+  return data;
+}
+
+/**
+ * Resume a paused workflow snippet by throwing `error` at the paused await.
+ *
+ * The thrown object is an Error with the given `message`, plus `status` and `body`,
+ * so workflow code can handle failed node calls with try/catch/finally.
+ *
+ * @param {string} id
+ * @param {Error | { message: string, status?: number, body?: any } | string} error
+ * @param {{ step?: number, token?: string, force?: boolean }} [options] Same as resume()
+ */
+export async function resumeWithError(id, error, options = {}) {
+  return deliverError(defaultRuntime, id, error, options);
+}
+
+/** resumeWithError() against an explicit runtime context. @param {any} ctx @param {string} id @param {any} error @param {{ step?: number, token?: string, force?: boolean }} [options] */
+async function deliverError(ctx, id, error, options = {}) {
+  const found = await pausedTask(ctx, id, options);
+  if (!found) throw new Error(`Not found: ${id}`);
+  if (options.step != null && options.step !== (found.step ?? 0)) return conflict(id, options.step);
+  checkAwake(id, found, options);
+  const checked = await upgrade(ctx, id, found);
+  if ('result' in checked) return checked.result;
+  return advance(ctx, id, checked.stored, errorEnvelope(error));
+}
+
+/**
+ * Restore a stored VM and feed `input` to the paused await.
+ *
+ * Errors raised by the workflow end the task; failures of the runtime itself
+ * (VM/storage exceptions) leave the stored state untouched so the resume can be retried.
+ *
+ * @param {any} ctx
+ * @param {string} id
+ * @param {any} stored
+ * @param {any} input
+ */
+async function advance(ctx, id, stored, input) {
+  const journal = stored.journal && journalResume(stored.journal, input);
+  const stepStartedAt = Date.now();
+
+  try {
+    const { limits, stateless } = stored;
+    const step = stored.step ?? 0;
+    /** @param {any} value */
+    const save = async (value) => stateless || commit(ctx, id, step, value);
+    await emit(ctx, 'onResume', {
+      id,
+      root: stored.root ?? id,
+      parent: stored.parent?.id,
+      step,
+      status: stored.status ?? 'paused',
+      calls: pauseCalls(stored.pause),
+      pausedAt: stored.updatedAt,
+      pausedMs: stepStartedAt - (stored.updatedAt ?? stepStartedAt),
+      error: input?.[ERROR_KEY]?.message,
+      time: stepStartedAt,
+    });
+    const aged = ageExceeded(stored, limits);
+    let { r, paused } = aged ? { r: aged } : await withinStep({ state: stored.state, paused: stored.paused, input }, limits);
+    const invalid = r.type === 'pause' && validatePause(r.fetchRequest, ctx.registry);
+    if (invalid) r = { type: 'error', error: invalid };
+
+    if (r.type === 'pause') {
+      const { record, result } = pauseRecord(ctx, id, paused, r, { ...stored, journal });
+      const tripped = recordExceeded(record, limits);
+      if (tripped) {
+        if (!(await save(undefined))) return conflict(id, step);
+        return await finish(ctx, id, tripped, { ...stored, journal: record.journal, stepStartedAt });
+      }
+      if (stateless) return await detach(ctx, id, record, result, stepStartedAt);
+      if (!(await save(record))) return conflict(id, step);
+      await emitPause(ctx, id, record, stepStartedAt);
+      return await spawn(ctx, id, result, record);
+    }
+    if (!(await save(undefined))) return conflict(id, step);
+    return await finish(ctx, id, r, { ...stored, journal, stepStartedAt });
+  } catch (e) {
+    // The stored task is kept for a retry, so this is a failed step, not a finished task.
+    const error = e?.message ?? String(e);
+    const time = Date.now();
+    await emit(ctx, 'onStepError', {
+      id,
+      root: stored.root ?? id,
+      parent: stored.parent?.id,
+      step: stored.step ?? 0,
+      status: stored.status ?? 'paused',
+      error,
+      durationMs: time - stepStartedAt,
+      time,
+    });
+    return { id, status: 'error', step: stored.step ?? 0, error: redact(ctx, error) };
+  }
+}
+
+/**
+ * Inspect a stored task: its status, step, timestamps and the `fetch`/`batch` it is waiting on.
+ * Returns undefined for unknown or expired tasks.
+ *
+ * @param {string} id
+ */
+export async function getTask(id) {
+  return inspectTask(defaultRuntime, id);
+}
+
+/** @param {any} ctx @param {string} id */
+async function inspectTask(ctx, id) {
+  const stored = await loadTask(ctx, id);
+  return stored ? taskInfo(id, stored) : undefined;
+}
+
+/**
+ * List stored tasks. Requires `run.storage.list()`. Expired tasks are removed along the way.
+ *
+ * @param {{ status?: string, olderThan?: number | Date }} [filter]
+ *   `olderThan` keeps tasks whose last update is before that time.
+ */
+export async function listTasks(filter = {}) {
+  return findTasks(defaultRuntime, filter);
+}
+
+/** @param {any} ctx @param {{ status?: string, olderThan?: number | Date }} [filter] */
+async function findTasks(ctx, filter = {}) {
+  if (typeof ctx.storage.list !== 'function') {
+    throw new Error('listTasks: storage does not implement list()');
+  }
+  const olderThan = filter.olderThan == null ? null : +filter.olderThan;
+  const tasks = [];
+  for (const id of await ctx.storage.list()) {
+    const stored = await loadTask(ctx, id);
+    if (!stored) continue;
+    const info = taskInfo(id, stored);
+    if (filter.status && info.status !== filter.status) continue;
+    if (olderThan != null && !(info.updatedAt < olderThan)) continue;
+    tasks.push(info);
+  }
+  return tasks;
+}
+
+/**
+ * Cancel a stored task. Its state is deleted and it can no longer be resumed.
+ * A task waiting on a sub-workflow cancels that child task too.
+ *
+ * @param {string} id
+ */
+export async function cancel(id) {
+  return cancelTask(defaultRuntime, id);
+}
+
+/** @param {any} ctx @param {string} id */
+async function cancelTask(ctx, id) {
+  const stored = await loadTask(ctx, id);
+  if (!stored) throw new Error(`Not found: ${id}`);
+  await ctx.storage.del(id);
+  if (stored.pause?.child) await cancelTask(ctx, stored.pause.child).catch(() => {});
+  return { id, status: 'cancelled' };
+}
+
+/**
+ * Get the journal of a task started with `{ journal: true }`: the finished journal from
+ * `run.journals` (if configured), or the in-progress one while the task is still paused.
+ *
+ * @param {string} id
+ */
+export async function getJournal(id) {
+  return journalOf(defaultRuntime, id);
+}
+
+/** @param {any} ctx @param {string} id */
+async function journalOf(ctx, id) {
+  const stored = await loadTask(ctx, id);
+  if (stored?.journal) return stored.journal;
+  return ctx.journals?.get(id);
+}
+
+/**
+ * Sleeping tasks whose wake-up time and waiting tasks whose timeout is at or before
+ * `now`. Resume each with resume(); requires `run.storage.list()`.
+ *
+ * @param {number | Date} [now]
+ */
+export async function dueTasks(now = Date.now()) {
+  return findDueTasks(defaultRuntime, now);
+}
+
+/** @param {any} ctx @param {number | Date} [now] */
+async function findDueTasks(ctx, now = Date.now()) {
+  const at = +now;
+  const tasks = [];
+  for (const info of await findTasks(ctx)) {
+    const due = info.status === 'sleeping' ? info.wakeAt : info.status === 'waiting' ? info.timeoutAt : null;
+    if (due != null && due <= at) tasks.push(info);
+  }
+  return tasks;
+}
+
+/**
+ * Resume every task waiting on `waitForEvent(name)` with `payload`. Tasks whose timeout
+ * has passed get their TimeoutError instead. Requires `run.storage.list()`.
+ *
+ * Returns one result per resumed task (a task another delivery advanced first reports
+ * `conflict`).
+ *
+ * @param {string} name
+ * @param {any} payload
+ */
+export async function deliverEvent(name, payload) {
+  return deliverEventTo(defaultRuntime, name, payload);
+}
+
+/** @param {any} ctx @param {string} name @param {any} payload */
+async function deliverEventTo(ctx, name, payload) {
+  const results = [];
+  for (const info of await findTasks(ctx, { status: 'waiting' })) {
+    if (info.event !== name) continue;
+    results.push(await deliver(ctx, info.id, payload, { step: info.step }));
+  }
+  return results;
+}
+
+/**
+ * What a pause (or journal entry) waited on: `{ fetch }`, `{ batch }`, `{ wakeAt, duration }`,
+ * `{ event, timeoutAt? }` or `{ workflow, args, child }`.
+ *
+ * @param {any} p
+ */
+function pauseOf(p) {
+  if (p.batch) return { batch: p.batch };
+  if (p.wakeAt != null) return { wakeAt: p.wakeAt, duration: p.duration };
+  if (p.event != null) return p.timeoutAt == null ? { event: p.event } : { event: p.event, timeoutAt: p.timeoutAt };
+  if (p.workflow != null) return { workflow: p.workflow, args: p.args, child: p.child };
+  return { fetch: p.fetch };
+}
+
+/**
+ * Compare two pauses by what they request (batch request ids and wake-up/timeout times
+ * are ignored).
+ *
+ * @param {any} a See pauseOf()
+ * @param {any} b
+ */
+function samePause(a, b) {
+  const key = (p) => JSON.stringify(
+    p?.batch ? { batch: p.batch.map(({ id, ...req }) => req) }
+      : p?.duration != null ? { sleep: p.duration }
+      : p?.event != null ? { event: p.event, timeout: p.timeoutAt != null }
+      : p?.workflow != null ? { workflow: p.workflow, args: p.args }
+      : { fetch: p?.fetch }
+  );
+  return key(a) === key(b);
+}
+
+/**
+ * Re-execute `code` against a recorded journal, feeding back the recorded responses.
+ *
+ * Runs in isolated in-memory storage. Stops at the first point where the code takes a
+ * different path than the journal: a different request, a missing or extra pause, or a
+ * different final result. `diverged` is null when the replay matches the recording.
+ *
+ * @param {string} code
+ * @param {{ id?: string, entries: any[], status?: string, result?: any, error?: any }} journal
+ */
+export async function replay(code, journal) {
+  return replayWith(defaultRuntime, code, journal);
+}
+
+/**
+ * replay() against the specs of an explicit runtime context.
+ *
+ * @param {any} runtime
+ * @param {string} code
+ * @param {any} journal
+ */
+async function replayWith(runtime, code, journal) {
+  // Sub-workflows are not started: the recorded child result is fed back instead.
+  const ctx = { storage: new InMemoryStorage(), registry: runtime.registry, secrets: runtime.secrets, replaying: true };
+  const id = journal.id ?? 'replay';
+  let task = await start(ctx, code, id);
+
+  /** @param {number} step @param {any} expected @param {any} actual */
+  const diverge = (step, expected, actual) => ({ ...task, diverged: { step, expected, actual } });
+  const pausedOn = (t) => (PAUSED_STATUSES.has(t.status) ? pauseOf(t) : null);
+
+  for (const entry of journal.entries) {
+    const expected = pauseOf(entry);
+    if (!PAUSED_STATUSES.has(task.status) || !samePause(pausedOn(task), expected)) {
+      return diverge(entry.step, expected, pausedOn(task) ?? { status: task.status, result: task.result, error: task.error });
+    }
+    // The recording ends at a pause that was never resumed.
+    if (!('response' in entry) && !('error' in entry)) return { ...task, diverged: null };
+
+    const stored = await ctx.storage.get(id);
+    task = await advance(ctx, id, stored, entry.error ? { [ERROR_KEY]: entry.error } : entry.response);
+  }
+
+  if (PAUSED_STATUSES.has(task.status)) {
+    return diverge(journal.entries.length + 1, { status: journal.status }, pausedOn(task));
+  }
+  if (journal.status && (task.status !== journal.status ||
+      JSON.stringify(task.status === 'done' ? task.result : task.error) !==
+      JSON.stringify(journal.status === 'done' ? journal.result : journal.error))) {
+    return diverge(journal.entries.length, { status: journal.status, result: journal.result, error: journal.error },
+      { status: task.status, result: task.result, error: task.error });
+  }
+  return { ...task, diverged: null };
+}
+
+/** Replaces a secret in redacted data. */
+const REDACTED = '[REDACTED]';
+/** How many secrets a runtime remembers; the least recently resolved are forgotten first. */
+const MAX_SECRETS = 1000;
+/** Shorter secrets are not redacted (see addSecret()). */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Secret values handed out by a runtime's credential resolvers, most recently resolved
+ * last, each with its encoded forms. Redacted from what is reported (results, errors,
+ * journals, hooks, traces); what the workflow itself holds (its variables, the responses
+ * fed back to it, its pending requests) is never touched, so redaction cannot change what
+ * a program does. Each runtime (see createRuntime()) owns one, so tenants never see each
+ * other's values.
+ */
+function createSecrets() {
+  return {
+    /** @type {Map<string, string[]>} secret -> its variants */
+    values: new Map(),
+    /** @type {string[] | null} every variant of every secret, longest first (cached) */
+    patterns: null,
+  };
+}
+
+/**
+ * Remember a secret so redact() strips it, including its URL-, form- and JSON-encoded forms.
+ * Values shorter than 4 characters are not remembered: replacing them would mangle
+ * unrelated text, so they are never redacted.
+ *
+ * @param {any} ctx
+ * @param {string} value
+ */
+function addSecret(ctx, value) {
+  const text = String(value);
+  if (text.length < MIN_SECRET_LENGTH) return;
+  const json = JSON.stringify(text).slice(1, -1);
+  const form = (v) => new URLSearchParams({ v }).toString().slice(2);
+  const { secrets } = ctx;
+  secrets.values.delete(text);
+  secrets.values.set(text, [text, json, encodeURIComponent(text), encodeURIComponent(json), form(text), form(json)]);
+  if (secrets.values.size > MAX_SECRETS) secrets.values.delete(secrets.values.keys().next().value);
+  secrets.patterns = null;
+}
+
+/**
+ * Replace the runtime's known secrets in every string of `value` (deeply; returns copies,
+ * never mutates). Only arrays, Maps and plain objects are walked; other objects (Dates,
+ * class instances) are returned as they are.
+ *
+ * @param {any} ctx
+ * @param {any} value
+ * @returns {any}
+ */
+function redact(ctx, value) {
+  const { secrets } = ctx;
+  if (!secrets.values.size) return value;
+  // Longest first, so an encoded form is not left half-replaced by a shorter variant.
+  secrets.patterns ??= [...new Set([...secrets.values.values()].flat())].sort((a, b) => b.length - a.length);
+  return redactWith(secrets.patterns, value);
+}
+
+/** @param {string[]} patterns @param {any} value @returns {any} */
+function redactWith(patterns, value) {
+  if (typeof value === 'string') {
+    let out = value;
+    for (const secret of patterns) {
+      if (out.includes(secret)) out = out.split(secret).join(REDACTED);
+    }
+    return out;
+  }
+  if (Array.isArray(value)) return value.map(v => redactWith(patterns, v));
+  if (value instanceof Map) return new Map([...value].map(([k, v]) => [k, redactWith(patterns, v)]));
+  if (value && typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactWith(patterns, v);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Redact a journal's recorded data, leaving the workflow code it was recorded for as is.
+ *
+ * @param {any} ctx
+ * @param {any} journal
+ */
+function redactJournal(ctx, journal) {
+  const { code, ...data } = journal;
+  return { ...journal, ...redact(ctx, data) };
+}
+
+/**
+ * Look up one credential with the configured resolver: a function
+ * `({ node, operation, name, credential }) => value` (may be async) or an object
+ * `{ [node]: { [name]: value } }`. The value is remembered for redaction in `ctx`.
+ *
+ * @param {any} ctx
+ * @param {any} resolver
+ * @param {{ node: string, operation: string, name: string }} ref
+ */
+async function resolveCredential(ctx, resolver, ref) {
+  const credential = ctx.registry.bySdkName.get(ref.node)?.credentials?.find(c => c?.name === ref.name);
+  const value = typeof resolver === 'function'
+    ? await resolver({ ...ref, credential })
+    : resolver?.[ref.node]?.[ref.name];
+  if (value != null) addSecret(ctx, value);
+  return value;
+}
+
+/**
+ * Fill the credentials a paused request asks for (see its `credentials` list) into the
+ * outgoing request. Call this right before performing the request and do not store the
+ * result: it contains the secrets. runToCompletion() does this for you.
+ *
+ * Credentials go where the call's params go: the JSON body, the query string or `?args=`.
+ * As with createSDK(), one the call already passes is kept, and one the resolver returns
+ * null for (or every one, without a resolver) is left out for the node to report.
+ *
+ * @param {any} request A paused `fetch` or `batch` entry
+ * @param {any} [resolver] Defaults to `run.credentials`
+ */
+export async function attachCredentials(request, resolver) {
+  return attach(defaultRuntime, request, resolver);
+}
+
+/** attachCredentials() against an explicit runtime context. @param {any} ctx @param {any} request @param {any} [resolver] */
+async function attach(ctx, request, resolver = ctx.credentials) {
+  const refs = request?.credentials;
+  if (!refs?.length) return request;
+  const { credentials: _refs, ...req } = request;
+
+  const target = specIndex(ctx.registry).get(refs[0].node)?.get(refs[0].operation);
+  const encoding = target?.encoding ?? 'args';
+  const url = new URL(req.url);
+  const body = encoding === 'json' && req.body ? JSON.parse(req.body) : undefined;
+  const args = encoding === 'args' ? JSON.parse(url.searchParams.get('args') ?? '[]') : [];
+  /** @param {string} name */
+  const given = (name) => encoding === 'json' ? isPlainObject(body) && name in body
+    : encoding === 'query' ? url.searchParams.has(name)
+    : isPlainObject(args[0]) && name in args[0];
+
+  // Same rules as createSDK(): fill only what the caller did not pass; a resolver that
+  // returns null (or no resolver at all) leaves the credential out.
+  /** @type {Record<string, any>} */
+  const values = {};
+  for (const ref of resolver ? refs : []) {
+    if (given(ref.name)) continue;
+    const value = await resolveCredential(ctx, resolver, ref);
+    if (value != null) values[ref.name] = value;
+  }
+  if (!Object.keys(values).length) return req;
+
+  if (encoding === 'json') {
+    return {
+      ...req,
+      headers: { ...req.headers, 'content-type': 'application/json' },
+      body: JSON.stringify(isPlainObject(body) ? { ...body, ...values } : values),
+    };
+  }
+  if (encoding === 'query') {
+    for (const [k, v] of Object.entries(values)) url.searchParams.set(k, typeof v === 'string' ? v : JSON.stringify(v));
+  } else {
+    args[0] = isPlainObject(args[0]) ? { ...args[0], ...values } : values;
+    url.searchParams.set('args', JSON.stringify(args));
+  }
+  return { ...req, url: url.toString() };
+}
+
+run.storage = new InMemoryStorage();
+/**
+ * Where finished journals are kept (see getJournal()); none by default, since journals
+ * are never removed from it. Set an adapter you clean up, e.g. a FileStorage.
+ * @type {any}
+ */
+run.journals = undefined;
+/**
+ * Credential resolver for node calls: `({ node, operation, name, credential }) => value`
+ * or `{ [node]: { [name]: value } }`. Used by attachCredentials(), runToCompletion() and createSDK().
+ * @type {any}
+ */
+run.credentials = undefined;
+/**
+ * Default limits for every task (see run()): `{ maxStepMs, maxPauses, maxStateBytes, maxAgeMs, maxDepth }`.
+ * @type {any}
+ */
+run.limits = undefined;
+/**
+ * Key material for stateless tasks (see run()): `{ secret, encrypt? }`, where `secret` is
+ * a string or bytes shared by every process that resumes the tokens.
+ * @type {{ secret: string | Uint8Array, encrypt?: boolean } | undefined}
+ */
+run.tokens = undefined;
+/**
+ * Lifecycle hooks, or an array of hook sets: `{ onStart, onPause, onResume, onStepError,
+ * onComplete, onError }`. Each gets one event object with the task `id`, its top-level
+ * `root` and `parent`, the `step`, the `calls` paused on (`{ node, method, httpMethod, url }`),
+ * `durationMs` of the step, `stateBytes` of a pause and `totalMs` of a finished task.
+ * `onStepError` reports a resume that failed inside the runtime and left the task stored
+ * for a retry. See traceHooks() for spans.
+ * @type {any}
+ */
+run.hooks = undefined;
+export { InMemoryStorage };
+// Internals used by the test suite. This module is not a package entry point (see
+// index.js), so none of these are reachable from outside.
+export { normalize, describePause, validatePause, validateParams, sealToken, openToken, redact, redactJournal, upgrade, performRequest, locateError };
+
+/**
+ * The runtime behind the top-level exports: configured through `run.storage`,
+ * `run.journals`, `run.credentials`, `run.limits`, `run.tokens` and `run.hooks`, with its
+ * own registry.
+ */
+const defaultRuntime = {
+  get storage() { return run.storage; },
+  get journals() { return run.journals; },
+  get credentials() { return run.credentials; },
+  get limits() { return run.limits; },
+  get tokens() { return run.tokens; },
+  get hooks() { return run.hooks; },
+  registry: createRegistry(),
+  secrets: createSecrets(),
+};
+
+/**
+ * Create an isolated runtime with its own storage, journals, credential resolver and
+ * registered specs/nodes, so tenants with different registries can share a process.
+ * The top-level exports behave like a default runtime configured through `run.*`.
+ *
+ * `options.specs` are registered up front (`{ name, methods, endpoint }`, see use()), and
+ * so are `options.workflows` (`{ [name]: code }`, see defineWorkflow()).
+ * `options.journals` keeps finished journals; there is none by default (see run.journals).
+ * The returned `storage`, `journals`, `credentials`, `limits`, `tokens` and `hooks`
+ * can be reassigned later.
+ *
+ * @param {{
+ *   storage?: any,
+ *   journals?: any,
+ *   credentials?: any,
+ *   specs?: Array<{ name: string, methods: any[], endpoint: string }>,
+ *   workflows?: Record<string, string>,
+ *   limits?: any,
+ *   tokens?: { secret: string | Uint8Array, encrypt?: boolean },
+ *   hooks?: any,
+ * }} [options]
+ */
+export function createRuntime(options = {}) {
+  const rt = {
+    storage: options.storage ?? new InMemoryStorage(),
+    journals: options.journals,
+    credentials: options.credentials,
+    limits: options.limits,
+    tokens: options.tokens,
+    hooks: options.hooks,
+    registry: createRegistry(),
+    secrets: createSecrets(),
+  };
+  const api = {
+    /** @param {string} code @param {string} [id] @param {any} [opts] */
+    run: (code, id, opts) => start(rt, code, id, opts),
+    /** @param {string} id @param {any} data @param {any} [opts] */
+    resume: (id, data, opts) => deliver(rt, id, data, opts),
+    /** @param {string} id @param {any} error @param {any} [opts] */
+    resumeWithError: (id, error, opts) => deliverError(rt, id, error, opts),
+    /** @param {string} code @param {any} [opts] */
+    runToCompletion: (code, opts) => drive(rt, code, opts),
+    /** @param {string} id */
+    getTask: (id) => inspectTask(rt, id),
+    /** @param {any} [filter] */
+    listTasks: (filter) => findTasks(rt, filter),
+    /** @param {string} id */
+    cancel: (id) => cancelTask(rt, id),
+    /** @param {string} id */
+    getJournal: (id) => journalOf(rt, id),
+    /** @param {string} code @param {any} journal */
+    replay: (code, journal) => replayWith(rt, code, journal),
+    /** @param {number | Date} [now] */
+    dueTasks: (now) => findDueTasks(rt, now),
+    /** @param {string} name @param {any} payload */
+    deliverEvent: (name, payload) => deliverEventTo(rt, name, payload),
+    /** @param {any} request @param {any} [resolver] */
+    attachCredentials: (request, resolver) => attach(rt, request, resolver),
+    /** @param {any} spec @param {string} endpoint */
+    use: (spec, endpoint) => register(rt.registry, spec, endpoint),
+    /** @param {string} name */
+    unuse: (name) => unregister(rt.registry, name),
+    /** @param {string} name @param {string} code */
+    defineWorkflow: (name, code) => registerWorkflow(rt.registry, name, code),
+    /** @param {(record: any, info: any) => any} migrate */
+    defineMigration: (migrate) => registerMigration(rt.registry, migrate),
+    /** @param {any[]} nodesRegistryJson @param {string} endpoint @param {any} [opts] */
+    useNodesRegistry: (nodesRegistryJson, endpoint, opts) => registerNodes(rt.registry, nodesRegistryJson, endpoint, opts),
+    /** @param {any} doc @param {string} [endpoint] @param {any} [opts] */
+    useOpenAPI: (doc, endpoint, opts) => registerOpenAPI(rt.registry, doc, endpoint, opts),
+    getNodeRegistry: () => snapshotRegistry(rt.registry),
+    /** @param {any[]} nodesRegistryJson @param {string} endpoint @param {any} [opts] */
+    createSDK: (nodesRegistryJson, endpoint, opts) => sdkFor(rt, nodesRegistryJson, endpoint, opts),
+    /** @param {string} code */
+    analyze: (code) => analyzeWith(rt.registry, code),
+  };
+  Object.assign(rt, api);
+
+  for (const { endpoint, ...spec } of options.specs ?? []) register(rt.registry, spec, endpoint);
+  for (const [name, code] of Object.entries(options.workflows ?? {})) registerWorkflow(rt.registry, name, code);
+  return rt;
+}
+
+/**
+ * Turn a paused `fetch`/`batch` request into fetch() arguments.
+ * Accepts `{ url, init }` (batch entries) as well as `{ url, options }` / flat
+ * `{ url, method, headers, body }` descriptors.
+ *
+ * @param {any} req
+ */
+function requestArgs(req) {
+  const init = req?.init ?? req?.options ?? {
+    method: req?.method,
+    headers: req?.headers,
+    body: req?.body,
+  };
+  return { url: String(req?.url ?? ''), init };
+}
+
+/** @param {number} status */
+function isTransientStatus(status) {
+  return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/** Methods that are safe to send again after a failure (PUT, PATCH and POST are not retried by default). */
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'DELETE']);
+
+/**
+ * Parse a response body: JSON when declared (throws if it is not), else JSON when it
+ * parses, else the text.
+ *
+ * @param {any} res
+ * @param {string} text
+ */
+function parseBody(res, text) {
+  const type = res.headers?.get?.('content-type') ?? '';
+  if (!text) return null;
+  if (type.includes('json')) return JSON.parse(text);
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+/**
+ * Perform one paused request, retrying network errors, timeouts and transient
+ * HTTP statuses (408/425/429/5xx) of idempotent methods (all methods with
+ * `retryNonIdempotent`). A successful response whose body does not parse fails
+ * right away: the server has acted on the request.
+ *
+ * @param {any} req
+ * @param {{ fetch: Function, timeoutMs: number, retries: number, backoff: number | ((attempt: number) => number), retryNonIdempotent?: boolean }} opts
+ */
+async function performRequest(req, opts) {
+  const { url, init } = requestArgs(req);
+  const method = init.method ?? 'GET';
+  const retries = opts.retryNonIdempotent || IDEMPOTENT_METHODS.has(method.toUpperCase()) ? opts.retries : 0;
+  const started = Date.now();
+  let attempts = 0;
+
+  /** @param {any} outcome @param {number} [status] */
+  const finish = (outcome, status) => ({
+    ...outcome,
+    trace: { url, method, status, attempts, durationMs: Date.now() - started, error: outcome.error?.message },
+  });
+
+  for (;;) {
+    attempts++;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+    let error, res, text;
+    try {
+      res = await opts.fetch(url, { ...init, signal: controller.signal });
+      text = await res.text();
+    } catch (e) {
+      error = controller.signal.aborted
+        ? { name: 'TimeoutError', message: `Request timed out after ${opts.timeoutMs}ms` }
+        : { name: e?.name, message: e?.message ?? String(e) };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!error) {
+      if (res.ok) {
+        try {
+          return finish({ ok: true, data: parseBody(res, text) }, res.status);
+        } catch (e) {
+          error = { name: 'ParseError', message: `Invalid response body: ${e?.message ?? e}`, status: res.status, body: text };
+          return finish({ ok: false, error }, res.status);
+        }
+      }
+      let body;
+      try { body = parseBody(res, text); } catch { body = text; }
+      error = { message: `HTTP ${res.status}`, status: res.status, body };
+      if (!isTransientStatus(res.status)) return finish({ ok: false, error }, res.status);
+    }
+
+    if (attempts > retries) return finish({ ok: false, error }, error.status);
+    const delay = typeof opts.backoff === 'function' ? opts.backoff(attempts) : opts.backoff * 2 ** (attempts - 1);
+    if (delay > 0) await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+/**
+ * Run a workflow to completion by performing each paused request with `options.fetch`.
+ *
+ * Batches are performed concurrently. Failed requests (after retries) are thrown into the
+ * workflow via resumeWithError(), so its try/catch decides what happens next.
+ * Returns the final result plus a per-step `trace`.
+ *
+ * @param {string} code
+ * @param {{
+ *   id?: string,
+ *   fetch?: Function,
+ *   timeoutMs?: number,
+ *   retries?: number,
+ *   backoff?: number | ((attempt: number) => number),
+ *   maxSteps?: number,
+ *   credentials?: any,
+ *   retryNonIdempotent?: boolean,
+ * }} [options]
+ *   `backoff` is the base delay in ms (doubled per attempt) or a function of the attempt number.
+ *   Only GET/HEAD/OPTIONS/DELETE requests are retried unless `retryNonIdempotent` is set.
+ *   `credentials` overrides `run.credentials` for attaching node credentials to requests.
+ */
+export async function runToCompletion(code, options = {}) {
+  return drive(defaultRuntime, code, options);
+}
+
+/** runToCompletion() against an explicit runtime context. @param {any} ctx @param {string} code @param {any} [options] */
+async function drive(ctx, code, options = {}) {
+  const opts = {
+    fetch: options.fetch ?? globalThis.fetch,
+    timeoutMs: options.timeoutMs ?? 30_000,
+    retries: options.retries ?? 2,
+    backoff: options.backoff ?? 200,
+    retryNonIdempotent: !!options.retryNonIdempotent,
+  };
+  const maxSteps = options.maxSteps ?? 100;
+  if (typeof opts.fetch !== 'function') throw new Error('runToCompletion: no fetch implementation');
+
+  const trace = [];
+  let task = await start(ctx, code, options.id);
+
+  while (task.status === 'paused') {
+    if (trace.length >= maxSteps) {
+      // The paused task may be a sub-workflow: cancel from the top so no parent is left waiting.
+      const root = (await loadTask(ctx, task.id))?.root ?? task.id;
+      await cancelTask(ctx, root);
+      return { id: root, status: 'error', error: `Exceeded maxSteps (${maxSteps})`, trace };
+    }
+
+    const started = Date.now();
+    const requests = task.batch ?? [task.fetch];
+    const outcomes = await Promise.all(requests.map(async (req) => {
+      try {
+        return await performRequest(await attach(ctx, req, options.credentials), opts);
+      } catch (e) {
+        const error = { name: e?.name, message: e?.message ?? String(e) };
+        return { ok: false, error, trace: { url: req.url, method: req.method ?? 'GET', attempts: 0, durationMs: 0, error: error.message } };
+      }
+    }));
+    // Responses go back to the workflow as they are; only the trace is redacted.
+    trace.push(redact(ctx, { step: task.step, requests: outcomes.map(o => o.trace), durationMs: Date.now() - started }));
+
+    const failed = outcomes.find(o => !o.ok);
+    task = failed
+      ? await deliverError(ctx, task.id, failed.error, { step: task.step })
+      : await deliver(ctx, task.id, task.batch ? outcomes.map(o => o.data) : outcomes[0].data, { step: task.step });
+  }
+
+  return { ...task, trace };
+}
+
+/**
+ * Create an in-process runner for workflow tests. Paused requests are answered by
+ * `options.mocks` instead of the network, and every call is recorded in order.
+ *
+ * A mock matches a registered SDK call by `node` (sdkName) and `method` (call path), or a
+ * request by `url` (a RegExp, or a string equal to the URL with or without its query).
+ * It answers with `data` (a value, or a function of the call) or throws `error` at the
+ * await (see resumeWithError()). `once: true` mocks are used up by their first match;
+ * otherwise the first matching mock wins.
+ *
+ * `sleep()` returns right away, `waitForEvent(name)` gets `options.events[name]` (or its
+ * TimeoutError when it has a timeout) and `workflow()` runs the registered child.
+ * A request without a mock, an event without a payload or more than `maxSteps` pauses
+ * end the run with an error.
+ *
+ * Specs and workflows come from `options.runtime` (default: the top-level registry);
+ * tasks are kept in a private in-memory store.
+ *
+ * @param {{
+ *   mocks?: Array<{ node?: string, method?: string, url?: string | RegExp, data?: any, error?: any, once?: boolean }>,
+ *   events?: Record<string, any>,
+ *   runtime?: any,
+ *   maxSteps?: number,
+ * }} [options]
+ */
+export function createTestRunner(options = {}) {
+  const base = options.runtime ?? defaultRuntime;
+  const ctx = {
+    storage: new InMemoryStorage(),
+    journals: new InMemoryStorage(),
+    credentials: undefined,
+    limits: base.limits,
+    registry: base.registry,
+    secrets: createSecrets(),
+  };
+  const mocks = [...(options.mocks ?? [])];
+  const events = options.events ?? {};
+  const maxSteps = options.maxSteps ?? 100;
+
+  /** @param {any} call @param {any} request */
+  const findMock = (call, request) => {
+    const url = String(request.url ?? '');
+    const i = mocks.findIndex((m) => {
+      if (m.node != null && m.node !== call?.node) return false;
+      if (m.method != null && m.method !== call?.method) return false;
+      if (m.url instanceof RegExp) return m.url.test(url);
+      if (m.url != null) return m.url === url || m.url === url.split('?')[0];
+      return m.node != null;
+    });
+    const mock = mocks[i];
+    if (mock?.once) mocks.splice(i, 1);
+    return mock;
+  };
+
+  /**
+   * Run `code` to completion against the mocks. Returns the final result plus `calls`:
+   * `[{ step, node?, method?, args?, request }]` in the order the workflow made them.
+   *
+   * @param {string} code
+   * @param {{ id?: string }} [runOptions]
+   */
+  async function runTest(code, runOptions = {}) {
+    const calls = [];
+    let task = await start(ctx, code, runOptions.id ?? 'test');
+    let steps = 0;
+
+    /** @param {string} error */
+    const fail = async (error) => {
+      await cancelTask(ctx, task.id);
+      return { id: task.id, status: 'error', error, calls };
+    };
+
+    while (PAUSED_STATUSES.has(task.status)) {
+      if (++steps > maxSteps) return fail(`Exceeded maxSteps (${maxSteps})`);
+      const { id, step } = task;
+
+      if (task.status === 'sleeping') {
+        task = await deliver(ctx, id, undefined, { step, force: true });
+        continue;
+      }
+      if (task.status === 'waiting') {
+        if (task.event in events) task = await deliver(ctx, id, events[task.event], { step });
+        else if (task.timeoutAt != null) {
+          task = await deliverError(ctx, id, { name: 'TimeoutError', message: `Timed out waiting for event ${task.event}` }, { step });
+        } else return fail(`No payload in events for waitForEvent(${JSON.stringify(task.event)})`);
+        continue;
+      }
+
+      const requests = task.batch ?? [task.fetch];
+      const outcomes = [];
+      for (const req of requests) {
+        const { id: _id, call, credentials, ...request } = req;
+        calls.push(call ? { step, ...call, request } : { step, request });
+        const mock = findMock(call, request);
+        if (!mock) {
+          const what = call ? `${call.node}.${call.method}` : `${request.method ?? 'GET'} ${request.url}`;
+          return fail(`No mock for ${what}`);
+        }
+        if ('error' in mock) outcomes.push({ error: mock.error });
+        else outcomes.push({ data: typeof mock.data === 'function' ? await mock.data({ ...call, request }) : mock.data });
+      }
+
+      const failed = outcomes.find(o => 'error' in o);
+      task = failed
+        ? await deliverError(ctx, id, failed.error, { step })
+        : await deliver(ctx, id, task.batch ? outcomes.map(o => o.data) : outcomes[0].data, { step });
+    }
+    return { ...task, calls };
+  }
+
+  return { run: runTest };
+}
+
+/** @param {number} ms */
+function unixNano(ms) {
+  return (BigInt(Math.round(ms)) * 1000000n).toString();
+}
+
+/**
+ * Lifecycle hooks that report tasks as OpenTelemetry-shaped spans
+ * (`{ traceId, spanId, parentSpanId?, name, kind, startTimeUnixNano, endTimeUnixNano,
+ * attributes, status }`), for use in `run.hooks`.
+ *
+ * Every top-level task is a trace, with one span per task (sub-workflows are children of
+ * their parent's span) and a child span per request, from the pause to the resume that
+ * answers it. Ids are derived from task ids, so every process that resumes a task reports
+ * into the same trace. Spans are emitted when they end.
+ *
+ * @param {(span: any) => void | Promise<void>} onSpan
+ */
+export function traceHooks(onSpan) {
+  const traceId = (/** @type {string} */ root) => hashText(`trace:${root}`) + hashText(`trace:${root}:2`);
+  const spanId = (/** @type {string} */ key) => hashText(`span:${key}`);
+
+  return {
+    /** @param {any} e */
+    async onResume(e) {
+      for (const [i, call] of e.calls.entries()) {
+        await onSpan({
+          traceId: traceId(e.root),
+          spanId: spanId(`${e.id}:${e.step}:${i}`),
+          parentSpanId: spanId(e.id),
+          name: call.node ? `${call.node}.${call.method}` : `HTTP ${call.httpMethod}`,
+          kind: 'CLIENT',
+          startTimeUnixNano: unixNano(e.pausedAt ?? e.time),
+          endTimeUnixNano: unixNano(e.time),
+          attributes: {
+            'sequential.task.id': e.id,
+            'sequential.step': e.step,
+            'sequential.node': call.node,
+            'sequential.method': call.method,
+            'http.request.method': call.httpMethod,
+            'url.full': call.url,
+          },
+          status: e.error == null ? { code: 'OK' } : { code: 'ERROR', message: e.error },
+        });
+      }
+    },
+    /** @param {any} e */
+    async onStepError(e) {
+      await onSpan({
+        traceId: traceId(e.root),
+        spanId: spanId(`${e.id}:${e.step}:error:${e.time}`),
+        parentSpanId: spanId(e.id),
+        name: 'sequential.step',
+        kind: 'INTERNAL',
+        startTimeUnixNano: unixNano(e.time - e.durationMs),
+        endTimeUnixNano: unixNano(e.time),
+        attributes: {
+          'sequential.task.id': e.id,
+          'sequential.step': e.step,
+          'sequential.status': e.status,
+        },
+        status: { code: 'ERROR', message: e.error },
+      });
+    },
+    /** @param {any} e */
+    async onComplete(e) {
+      await onSpan(taskSpan(e));
+    },
+    /** @param {any} e */
+    async onError(e) {
+      await onSpan(taskSpan(e));
+    },
+  };
+
+  /** @param {any} e */
+  function taskSpan(e) {
+    const error = typeof e.error === 'string' ? e.error : e.error?.message;
+    return {
+      traceId: traceId(e.root),
+      spanId: spanId(e.id),
+      parentSpanId: e.parent == null ? undefined : spanId(e.parent),
+      name: 'sequential.task',
+      kind: 'INTERNAL',
+      startTimeUnixNano: unixNano(e.createdAt),
+      endTimeUnixNano: unixNano(e.time),
+      attributes: {
+        'sequential.task.id': e.id,
+        'sequential.steps': e.step,
+        'sequential.status': e.status,
+      },
+      status: e.status === 'done' ? { code: 'OK' } : { code: 'ERROR', message: error },
+    };
+  }
+}
+
+/**
+ * OPTIONAL: Create a runtime SDK (Proxy-based) instead of string-transform usage.
+ *
+ * This is handy if you want to call nodes programmatically without rewriting code,
+ * while still benefiting from SequentialFetchVM pausing on fetch().
+ *
+ * @param {any[]} nodesRegistryJson
+ * @param {string} endpoint Base API endpoint
+ * @param {{ method?: string, encoding?: 'json' | 'query' | 'args', headers?: Record<string, string> }} [options]
+ *   How operations are called over HTTP (see use()); defaults to `GET ?args=`.
+ */
+export function createSDK(nodesRegistryJson, endpoint, options = {}) {
+  return sdkFor(defaultRuntime, nodesRegistryJson, endpoint, options);
+}
+
+/**
+ * createSDK() against an explicit runtime context.
+ *
+ * @param {any} ctx
+ * @param {any[]} nodesRegistryJson
+ * @param {string} endpoint
+ * @param {any} [options]
+ */
+function sdkFor(ctx, nodesRegistryJson, endpoint, options = {}) {
+  // Ensure the registry is populated; re-registering the same nodes replaces them.
+  const { nodes } = registerNodes(ctx.registry, nodesRegistryJson, endpoint, options);
+
+  /** @type {Map<string, any>} */
+  const bySdkName = new Map(nodes.map(n => [n.sdkName, n]));
+  /** @type {Map<string, any>} */
+  const byRawName = new Map(nodes.map(n => [n.rawName, n]));
+
+  const root = {};
+  return new Proxy(root, {
+    get(_t, prop) {
+      if (prop === '__registry') return { bySdkName, byRawName };
+      const key = String(prop);
+
+      const node = bySdkName.get(key) || byRawName.get(key);
+      if (!node) return undefined;
+
+      const nodeBase = `${endpoint.replace(/\/$/, '')}/${encodeURIComponent(node.rawName)}`;
+
+      return new Proxy({}, {
+        get(_t2, opProp) {
+          if (opProp === '__node') return node;
+          const opKey = String(opProp);
+
+          const op = node.methods.find(m => m.call === opKey);
+          if (!op) return undefined;
+          const target = specIndex(ctx.registry).get(node.sdkName)?.get(op.call);
+
+          /** @param {any[]} args */
+          const send = (args) => {
+            if (target?.method) {
+              let req;
+              try {
+                req = buildRequest({ ...target, base: nodeBase }, args);
+              } catch (e) {
+                throw new ValidationError(node.sdkName, op.call, [{ path: '', code: 'request', message: /** @type {Error} */ (e).message }]);
+              }
+              return fetch(req.url, { method: req.method, headers: req.headers, body: req.body });
+            }
+            if (!args.length) return fetch(`${nodeBase}/${op.path.replace(/^\//, '')}`);
+            return fetch(`${nodeBase}/${op.path.replace(/^\//, '')}?args=` +
+              encodeURIComponent(JSON.stringify(args)));
+          };
+
+          return (...args) => {
+            const issues = validateParams(node, op, args[0]);
+            if (issues.length) throw new ValidationError(node.sdkName, op.call, issues);
+
+            // Fill credentials the caller did not pass from the runtime's resolver.
+            const given = isPlainObject(args[0]) ? args[0] : {};
+            const missing = (node.credentials ?? []).filter(c => c?.name && !(c.name in given));
+            const resolver = ctx.credentials;
+            if (!missing.length || !resolver) return send(args);
+            return Promise.all(missing.map(c =>
+              resolveCredential(ctx, resolver, { node: node.sdkName, operation: op.call, name: c.name })
+            )).then((values) => {
+              const filled = { ...given };
+              missing.forEach((c, i) => { if (values[i] != null) filled[c.name] = values[i]; });
+              return send([filled, ...args.slice(1)]);
+            });
+          };
+        }
+      });
+    }
+  });
+}
+
+/**
+ * OPTIONAL: Generate TypeScript declarations from a nodes registry.
+ *
+ * This returns a .d.ts string you can write to disk, for IDE autocomplete.
+ *
+ * NOTE: For big registries, the output will be large.
+ *
+ * @param {any[]} nodesRegistryJson
+ */
+export function generateTypes(nodesRegistryJson) {
+  if (!Array.isArray(nodesRegistryJson)) throw new Error('generateTypes: expected an array');
+
+  /** @type {any[]} */
+  const nodes = nodesRegistryJson.map(normalizeNode).filter(Boolean);
+
+  const lines = [];
+  lines.push('/* eslint-disable */');
+  lines.push('// AUTO-GENERATED. DO NOT EDIT BY HAND.');
+  lines.push('');
+  lines.push('export type JSONValue = null | boolean | number | string | JSONValue[] | { [k: string]: JSONValue };');
+  lines.push('export type AnyRecord = Record<string, any>;');
+  lines.push('');
+  lines.push('export interface FetchLike { (input: RequestInfo | URL, init?: RequestInit): Promise<Response>; }');
+  lines.push('');
+  lines.push('export interface InMemoryStorageLike { get(id: string): Promise<any>; set(id: string, value: any): Promise<void>; del(id: string): Promise<void>; list?(): Promise<string[]>; compareAndSet?(id: string, expected: number, value: any): Promise<boolean>; }');
+  lines.push('');
+
+  // Helper: map schema param -> TS type
+  function tsTypeForParam(p) {
+    const t = p?.type;
+    if (t === 'string' || t === 'code') return 'string';
+    if (t === 'number') return 'number';
+    if (t === 'boolean') return 'boolean';
+    if (t === 'date') return 'string | Date';
+    if (t === 'json') return 'AnyRecord | JSONValue';
+    if (t === 'object') return 'AnyRecord';
+    if (t === 'file') return 'Blob | File | string';
+    if (t === 'string[]') return 'string[]';
+
+    if (t === 'options') {
+      const opts = Array.isArray(p?.options) ? p.options : [];
+      const names = [...new Set(opts.map(o => o?.name).filter(Boolean))];
+      if (!names.length) return 'string';
+      // Avoid generating insanely long unions for very large option lists:
+      if (names.length > 250) return 'string';
+      return names.map(n => JSON.stringify(String(n))).join(' | ');
+    }
+
+    if (t === 'asyncOptions') return 'string';
+
+    if (t === 'array') {
+      // Two shapes:
+      //  - { type:'array', items:{type:'string'} } (JSON schema-ish)
+      //  - { type:'array', array:[ {name,type,...}, ... ] } (UI schema)
+      if (p?.items?.type) {
+        const inner = tsTypeForParam(p.items);
+        return `Array<${inner}>`;
+      }
+      const arr = Array.isArray(p?.array) ? p.array : null;
+      if (arr) {
+        const fields = new Map();
+        for (const f of arr) {
+          const nm = f?.name;
+          if (!nm) continue;
+          const ft = tsTypeForParam(f);
+          const prev = fields.get(nm);
+          fields.set(nm, prev ? `${prev} | ${ft}` : ft);
+        }
+        const fieldLines = [];
+        for (const [nm, ft] of fields.entries()) {
+          fieldLines.push(`${JSON.stringify(nm)}?: ${ft};`);
+        }
+        return `Array<{ ${fieldLines.join(' ')} }>`;
+      }
+      return 'any[]';
+    }
+
+    if (t === 'collection') {
+      const opts = Array.isArray(p?.options) ? p.options : null;
+      if (!opts) return 'AnyRecord';
+      const fieldLines = [];
+      for (const f of opts) {
+        if (!f?.name) continue;
+        const optional = !!f.optional || f.required === false;
+        fieldLines.push(`${JSON.stringify(f.name)}${optional ? '?:' : ':'} ${tsTypeForParam(f)};`);
+      }
+      return `{ ${fieldLines.join(' ')} }`;
+    }
+
+    // Unknown/custom types => any
+    return 'any';
+  }
+
+  // Produce namespaces per node
+  lines.push('export namespace Nodes {');
+  for (const node of nodes) {
+    lines.push(`  export namespace ${node.sdkName} {`);
+    lines.push(`    export type RawNodeName = ${JSON.stringify(node.rawName)};`);
+    lines.push(`    export type NodeType = ${JSON.stringify(node.type ?? 'action')};`);
+    lines.push(`    export type Category = ${JSON.stringify(node.category ?? '')};`);
+    lines.push(`    export type Version = ${JSON.stringify(node.version ?? '')};`);
+    lines.push('');
+
+    // operations
+    const opCalls = node.methods.map(m => m.call);
+    lines.push(`    export type Operations = ${opCalls.map(n => JSON.stringify(n)).join(' | ') || 'never'};`);
+    lines.push('');
+
+    // For each operation, type the op's effective parameter set (see operationParams()).
+    for (const op of node.operations) {
+      const opCall = node.methods.find(m => m.raw === op.raw || m.path === op.path)?.call ?? op.call;
+
+      const fields = operationParams(node, op).map(f => ({
+        name: f.name,
+        optional: f.optional,
+        type: tsTypeForParam(f.param),
+        desc: f.desc,
+      }));
+
+      // De-dupe by name (shouldn't collide, but be safe)
+      const byName = new Map();
+      for (const f of fields) {
+        const prev = byName.get(f.name);
+        if (!prev) byName.set(f.name, f);
+        else byName.set(f.name, {
+          name: f.name,
+          optional: prev.optional && f.optional,
+          type: `${prev.type} | ${f.type}`,
+          desc: prev.desc || f.desc,
+        });
+      }
+
+      lines.push(`    export interface ${opCall}Params {`);
+      for (const f of byName.values()) {
+        // Keep comments short; avoid huge output
+        const comment = f.desc ? ` /** ${String(f.desc).replace(/\s+/g, ' ').slice(0, 120)} */` : '';
+        lines.push(`      ${comment}`);
+        lines.push(`      ${JSON.stringify(f.name)}${f.optional ? '?:' : ':'} ${f.type};`);
+      }
+      lines.push(`    }`);
+      lines.push('');
+    }
+
+    lines.push('  }');
+  }
+  lines.push('}');
+  lines.push('');
+
+  // SDK interface
+  lines.push('export interface SDK {');
+  for (const node of nodes) {
+    lines.push(`  ${node.sdkName}: {`);
+    for (const m of node.methods) {
+      lines.push(`    ${m.call}(params?: Nodes.${node.sdkName}.${m.call}Params): Promise<any>;`);
+    }
+    lines.push('  };');
+  }
+  lines.push('}');
+  lines.push('');
+
+  lines.push('export interface ValidationIssue { path: string; code: \"unknown\" | \"required\" | \"type\" | \"enum\"; message: string; expected?: any; received?: string; }');
+  lines.push('export class ValidationError extends Error { node: string; method: string; issues: ValidationIssue[]; }');
+  lines.push('export class TokenError extends Error {}');
+  lines.push('export interface TokenConfig { secret: string | Uint8Array; encrypt?: boolean; }');
+  lines.push('export interface RequestOptions { method?: string; encoding?: \"json\" | \"query\" | \"args\"; headers?: Record<string, string>; }');
+  lines.push('export function createSDK(nodesRegistryJson: any[], endpoint: string, options?: RequestOptions): SDK;');
+  lines.push('export function useNodesRegistry(nodesRegistryJson: any[], endpoint: string, options?: { includeNonActionNodes?: boolean } & RequestOptions): { registered: number; skipped: number; nodes: any[] };');
+  lines.push('export function generateTypes(nodesRegistryJson: any[]): string;');
+  lines.push('export function generateJSONSchema(nodesRegistryJson: any[]): Record<string, AnyRecord>;');
+  lines.push('export interface BatchRequest { id: string; url: string; init?: AnyRecord; method?: string; headers?: Record<string, string>; body?: string; call?: NodeCall; credentials?: CredentialRef[]; }');
+  lines.push('export interface NodeCall { node: string; method: string; args: any[]; }');
+  lines.push('export interface TestMock { node?: string; method?: string; url?: string | RegExp; data?: any | ((call: Partial<NodeCall> & { request: AnyRecord }) => any); error?: Error | { message: string; status?: number; body?: any } | string; once?: boolean; }');
+  lines.push('export interface TestCall extends Partial<NodeCall> { step: number; request: AnyRecord; }');
+  lines.push('export interface SourceLocation { line: number; column: number; snippet: string; }');
+  lines.push('export type IncompatibleReason = \"version\" | \"vm\" | \"code\" | \"specs\";');
+  lines.push('export interface RecordStamp { version: number; vm?: string; codeHash?: string; specsHash?: string; }');
+  lines.push('export interface TaskLimits { maxStepMs?: number; maxPauses?: number; maxStateBytes?: number; maxAgeMs?: number; maxDepth?: number; }');
+  lines.push('export type TaskResult = ({ id: string; status: \"paused\"; step: number; fetch: any } | { id: string; status: \"paused\"; step: number; batch: BatchRequest[] } | { id: string; status: \"sleeping\"; step: number; wakeAt: number; duration: number } | { id: string; status: \"waiting\"; step: number; event: string; timeoutAt?: number } | { id: string; status: \"waiting\"; step: number; workflow: string; args?: any; child: string } | { id: string; status: \"done\"; result: any } | { id: string; status: \"error\"; error: any; step?: number; location?: SourceLocation } | { id: string; status: \"conflict\"; error: any } | { id: string; status: \"limit_exceeded\"; limit: keyof TaskLimits; error: string } | { id: string; status: \"incompatible_state\"; reasons: IncompatibleReason[]; error: string }) & { parent?: string; child?: TaskResult; token?: string };');
+  lines.push('export interface TaskInfo { id: string; status: string; step: number; createdAt?: number; updatedAt?: number; expiresAt?: number; fetch?: any; batch?: BatchRequest[]; wakeAt?: number; duration?: number; event?: string; timeoutAt?: number; workflow?: string; args?: any; child?: string; parent?: string; }');
+  lines.push('export interface JournalEntry { step: number; fetch?: any; batch?: BatchRequest[]; pausedAt: number; resumedAt?: number; response?: any; error?: any; }');
+  lines.push('export interface Journal { id: string; code: string; startedAt: number; entries: JournalEntry[]; finishedAt?: number; status?: string; result?: any; error?: any; }');
+  lines.push('export function run(code: string, id?: string, options?: { ttl?: number; journal?: boolean; limits?: TaskLimits; stateless?: boolean }): Promise<TaskResult>;');
+  lines.push('export function resume(id: string, data: any, options?: { step?: number; token?: string; force?: boolean }): Promise<TaskResult>;');
+  lines.push('export function resumeWithError(id: string, error: Error | { message: string; status?: number; body?: any } | string, options?: { step?: number; token?: string; force?: boolean }): Promise<TaskResult>;');
+  lines.push('export interface TraceStep { step: number; durationMs: number; requests: Array<{ url: string; method: string; status?: number; attempts: number; durationMs: number; error?: string }>; }');
+  lines.push('export interface CredentialRef { node: string; operation: string; name: string; }');
+  lines.push('export type CredentialResolver = ((ref: CredentialRef & { credential?: AnyRecord }) => unknown) | Record<string, Record<string, unknown>>;');
+  lines.push('export function attachCredentials<T extends { url: string; credentials?: CredentialRef[] }>(request: T, resolver?: CredentialResolver): Promise<Omit<T, \"credentials\">>;');
+  lines.push('export function runToCompletion(code: string, options?: { id?: string; fetch?: FetchLike; timeoutMs?: number; retries?: number; backoff?: number | ((attempt: number) => number); maxSteps?: number; credentials?: CredentialResolver; retryNonIdempotent?: boolean }): Promise<TaskResult & { trace: TraceStep[] }>;');
+  lines.push('export interface Diagnostic { severity: \"error\" | \"warning\"; code: \"syntax\" | \"unknown-node\" | \"unknown-method\" | \"missing-param\"; message: string; line: number; column: number; node?: string; method?: string; param?: string; }');
+  lines.push('export interface AnalyzedCall { node: string; method: string; rawNode?: string; operation?: string; url: string; httpMethod: string; line: number; column: number; endLine: number; endColumn: number; start: number; end: number; }');
+  lines.push('export function analyze(code: string): { calls: AnalyzedCall[]; diagnostics: Diagnostic[] };');
+  lines.push('export function getTask(id: string): Promise<TaskInfo | undefined>;');
+  lines.push('export function listTasks(filter?: { status?: string; olderThan?: number | Date }): Promise<TaskInfo[]>;');
+  lines.push('export function cancel(id: string): Promise<{ id: string; status: \"cancelled\" }>;');
+  lines.push('export function getJournal(id: string): Promise<Journal | undefined>;');
+  lines.push('export function dueTasks(now?: number | Date): Promise<TaskInfo[]>;');
+  lines.push('export function deliverEvent(name: string, payload?: any): Promise<TaskResult[]>;');
+  lines.push('export function replay(code: string, journal: Journal): Promise<TaskResult & { diverged: null | { step: number; expected: any; actual: any } }>;');
+  lines.push('export const InMemoryStorage: { new(): InMemoryStorageLike };');
+  lines.push('export function use(spec: { name: string; methods: Array<string | { call: string; path?: string; method?: string; encoding?: \"json\" | \"query\" | \"args\"; headers?: Record<string, string> }> }, endpoint: string): void;');
+  lines.push('export function unuse(name: string): boolean;');
+  lines.push('export function defineWorkflow(name: string, code: string): void;');
+  lines.push('export interface HookCall { id?: string; node?: string; method?: string; httpMethod: string; url: string; }');
+  lines.push('export interface HookEvent { id: string; root: string; parent?: string; time: number; }');
+  lines.push('export interface TaskHooks {');
+  lines.push('  onStart?(event: HookEvent): void | Promise<void>;');
+  lines.push('  onPause?(event: HookEvent & { step: number; status: string; calls: HookCall[]; pause: any; durationMs: number; stateBytes: number }): void | Promise<void>;');
+  lines.push('  onResume?(event: HookEvent & { step: number; status: string; calls: HookCall[]; pausedAt?: number; pausedMs: number; error?: string }): void | Promise<void>;');
+  lines.push('  onStepError?(event: HookEvent & { step: number; status: string; error: string; durationMs: number }): void | Promise<void>;');
+  lines.push('  onComplete?(event: HookEvent & { step: number; status: \"done\"; result: any; createdAt: number; durationMs: number; totalMs: number }): void | Promise<void>;');
+  lines.push('  onError?(event: HookEvent & { step: number; status: string; error: any; createdAt: number; durationMs: number; totalMs: number }): void | Promise<void>;');
+  lines.push('}');
+  lines.push('export interface Span { traceId: string; spanId: string; parentSpanId?: string; name: string; kind: \"INTERNAL\" | \"CLIENT\"; startTimeUnixNano: string; endTimeUnixNano: string; attributes: Record<string, string | number | undefined>; status: { code: \"OK\" | \"ERROR\"; message?: string }; }');
+  lines.push('export function traceHooks(onSpan: (span: Span) => void | Promise<void>): TaskHooks;');
+  lines.push('export function createTestRunner(options?: { mocks?: TestMock[]; events?: Record<string, any>; runtime?: Runtime; maxSteps?: number }): { run(code: string, options?: { id?: string }): Promise<TaskResult & { calls: TestCall[] }> };');
+  lines.push('export function defineMigration(migrate: (record: any, info: { id: string; reasons: IncompatibleReason[]; from: RecordStamp; to: RecordStamp }) => any): void;');
+  lines.push('export function useOpenAPI(doc: AnyRecord, endpoint?: string, options?: { name?: string; headers?: Record<string, string> }): any;');
+  lines.push('export function openAPIToNodes(doc: AnyRecord, options?: { name?: string }): any[];');
+  lines.push('export interface Runtime {');
+  lines.push('  storage: any; journals?: any; credentials?: CredentialResolver; limits?: TaskLimits; tokens?: TokenConfig; hooks?: TaskHooks | TaskHooks[];');
+  lines.push('  run: typeof run; resume: typeof resume; resumeWithError: typeof resumeWithError; runToCompletion: typeof runToCompletion;');
+  lines.push('  getTask: typeof getTask; listTasks: typeof listTasks; cancel: typeof cancel; getJournal: typeof getJournal; replay: typeof replay;');
+  lines.push('  dueTasks: typeof dueTasks; deliverEvent: typeof deliverEvent; defineWorkflow: typeof defineWorkflow; defineMigration: typeof defineMigration;');
+  lines.push('  attachCredentials: typeof attachCredentials; use: typeof use; unuse: typeof unuse; useNodesRegistry: typeof useNodesRegistry; useOpenAPI: typeof useOpenAPI;');
+  lines.push('  getNodeRegistry(): { bySdkName: Map<string, any>; byRawName: Map<string, any> }; createSDK: typeof createSDK; analyze: typeof analyze;');
+  lines.push('}');
+  lines.push('export function createRuntime(options?: { storage?: any; journals?: any; credentials?: CredentialResolver; limits?: TaskLimits; tokens?: TokenConfig; hooks?: TaskHooks | TaskHooks[]; specs?: Array<Parameters<typeof use>[0] & { endpoint: string }>; workflows?: Record<string, string> }): Runtime;');
+
+  return lines.join('\n');
+}
+
+/**
+ * Map a schema param to JSON Schema (same type vocabulary as tsTypeForParam()).
+ *
+ * @param {any} p
+ */
+function jsonSchemaForParam(p) {
+  const t = p?.type;
+  /** @type {Record<string, any>} */
+  let out;
+
+  if (t === 'string' || t === 'code' || t === 'asyncOptions') out = { type: 'string' };
+  else if (t === 'number') out = { type: 'number' };
+  else if (t === 'boolean') out = { type: 'boolean' };
+  else if (t === 'date') out = { type: 'string', format: 'date-time' };
+  else if (t === 'object') out = { type: 'object' };
+  else if (t === 'file') out = { type: 'string' };
+  else if (t === 'string[]') out = { type: 'array', items: { type: 'string' } };
+  else if (t === 'options') {
+    const opts = Array.isArray(p?.options) ? p.options : [];
+    const names = [...new Set(opts.map(o => o?.name).filter(Boolean))];
+    out = names.length ? { enum: names } : { type: 'string' };
+  } else if (t === 'array') {
+    if (p?.items?.type) out = { type: 'array', items: jsonSchemaForParam(p.items) };
+    else if (Array.isArray(p?.array)) {
+      const fields = p.array.filter(f => f?.name).map(f => ({ name: f.name, optional: true, param: f, desc: f.description ?? f.label }));
+      out = { type: 'array', items: objectSchema(fields) };
+    } else out = { type: 'array' };
+  } else if (t === 'collection') {
+    if (!Array.isArray(p?.options)) out = { type: 'object' };
+    else {
+      const fields = p.options.filter(f => f?.name).map(f => ({
+        name: f.name, optional: !!f.optional || f.required === false, param: f, desc: f.description ?? f.label,
+      }));
+      out = objectSchema(fields);
+    }
+  } else {
+    // json and unknown/custom types => any
+    out = {};
+  }
+
+  const desc = p?.description ?? p?.label;
+  if (desc) out.description = String(desc);
+  if (p?.default !== undefined) out.default = p.default;
+  return out;
+}
+
+/**
+ * Build an object schema from a field list; duplicate names become `anyOf`
+ * (and are required only if every duplicate is).
+ *
+ * @param {Array<{ name: string, optional: boolean, param: any, desc?: string }>} fields
+ */
+function objectSchema(fields) {
+  const byName = new Map();
+  for (const f of fields) {
+    const schema = jsonSchemaForParam(f.param);
+    const prev = byName.get(f.name);
+    if (!prev) byName.set(f.name, { schemas: [schema], optional: f.optional });
+    else {
+      prev.schemas.push(schema);
+      prev.optional = prev.optional && f.optional;
+    }
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [name, { schemas, optional }] of byName) {
+    properties[name] = schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+    if (!optional) required.push(name);
+  }
+  return { type: 'object', properties, ...(required.length ? { required } : {}), additionalProperties: false };
+}
+
+/**
+ * OPTIONAL: Generate JSON Schema for every node operation in a nodes registry.
+ *
+ * Returns `{ "<sdkName>.<method>": schema }`, one draft 2020-12 schema per operation,
+ * describing the params object of that call. Accepts exactly what calls are validated
+ * against (see validateParams()): conditional params and credentials are never required,
+ * and the operation selector (`opKey`) may be passed with the operation's raw id.
+ *
+ * @param {any[]} nodesRegistryJson
+ */
+export function generateJSONSchema(nodesRegistryJson) {
+  if (!Array.isArray(nodesRegistryJson)) throw new Error('generateJSONSchema: expected an array');
+
+  /** @type {any[]} */
+  const nodes = nodesRegistryJson.map(normalizeNode).filter(Boolean);
+
+  /** @type {Record<string, any>} */
+  const schemas = {};
+  for (const node of nodes) {
+    for (const op of node.operations) {
+      const opCall = node.methods.find(m => m.raw === op.raw || m.path === op.path)?.call ?? op.call;
+      const key = `${node.sdkName}.${opCall}`;
+      const title = [node.label ?? node.rawName, op.label].filter(Boolean).join(': ');
+      const params = objectSchema(callFields(node, op).map(f => ({ ...f, optional: f.optional || f.conditional })));
+      if (node.opKey && !Object.prototype.hasOwnProperty.call(params.properties, node.opKey)) {
+        params.properties[node.opKey] = { const: op.raw };
+      }
+
+      schemas[key] = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: key,
+        title,
+        ...(op.description ? { description: String(op.description) } : {}),
+        ...params,
+        'x-node': node.rawName,
+        'x-operation': op.raw,
+      };
+    }
+  }
+  return schemas;
+}
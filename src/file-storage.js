@@ -0,0 +1,206 @@
+import { mkdir, readFile, writeFile, rename, unlink, readdir, open, stat } from 'fs/promises';
+import { join } from 'path';
+
+const SUFFIX = '.json';
+const LOCK_SUFFIX = '.lock';
+const MAX_NAME = 240;
+/** How long a lock may be held before others treat its holder as crashed, in ms. */
+const DEFAULT_LEASE = 10_000;
+
+/**
+ * Encode a task id as a file name: [a-z0-9-] pass through, every other UTF-8 byte
+ * becomes `_XX`. The result is reversible, never contains `/` or `..`, and does not
+ * collide on case-insensitive file systems.
+ *
+ * @param {string} id
+ */
+function encodeId(id) {
+  let out = '';
+  for (const byte of new TextEncoder().encode(String(id))) {
+    const ch = String.fromCharCode(byte);
+    out += /[a-z0-9-]/.test(ch) ? ch : '_' + byte.toString(16).toUpperCase().padStart(2, '0');
+  }
+  if (!out) out = '_';
+  if (out.length + SUFFIX.length + LOCK_SUFFIX.length > MAX_NAME) throw new Error(`FileStorage: task id too long: ${id}`);
+  return out;
+}
+
+/** @param {string} name */
+function decodeId(name) {
+  if (name === '_') return '';
+  const bytes = [];
+  for (let i = 0; i < name.length; i++) {
+    if (name[i] === '_') { bytes.push(parseInt(name.slice(i + 1, i + 3), 16)); i += 2; }
+    else bytes.push(name.charCodeAt(i));
+  }
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+// JSON has no `undefined` or Date; tag them so paused VM variables round-trip.
+const TAG = '$sq';
+
+/** @param {any} value */
+function serialize(value) {
+  return JSON.stringify(value, function (key, v) {
+    const raw = this[key];
+    if (raw instanceof Date) return { [TAG]: 'date', v: raw.toISOString() };
+    if (v === undefined && Array.isArray(this)) return { [TAG]: 'undefined' };
+    return v;
+  });
+}
+
+/** @param {any} v */
+function revive(v) {
+  if (!v || typeof v !== 'object') return v;
+  if (typeof v[TAG] === 'string') {
+    if (v[TAG] === 'undefined') return undefined;
+    if (v[TAG] === 'date') return new Date(v.v);
+  }
+  for (const k of Object.keys(v)) v[k] = revive(v[k]);
+  return v;
+}
+
+/** @param {number} ms */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Durable storage adapter: one JSON file per task under `dir`.
+ *
+ * Writes go to a temp file that is renamed over the target, so readers never see a
+ * partial record. set(), del() and compareAndSet() hold a per-task lock file (created
+ * with O_EXCL), so instances in other processes sharing the directory are serialized too.
+ * A lock older than `options.lease` ms is taken to be left by a crashed process and
+ * broken; keep it well above the time one write takes.
+ */
+export class FileStorage {
+  /** @param {string} dir @param {{ lease?: number }} [options] */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.lease = options.lease ?? DEFAULT_LEASE;
+    /** @type {Map<string, Promise<any>>} id -> tail of its operation queue */
+    this.queues = new Map();
+    this.ready = null;
+  }
+
+  /** @param {string} id */
+  file(id) { return join(this.dir, encodeId(id) + SUFFIX); }
+
+  async init() {
+    if (!this.ready) this.ready = mkdir(this.dir, { recursive: true });
+    return this.ready;
+  }
+
+  /**
+   * Run `fn` after every earlier operation on the same id has settled.
+   * @param {string} id @param {() => Promise<any>} fn
+   */
+  exclusive(id, fn) {
+    const prev = this.queues.get(id) ?? Promise.resolve();
+    const next = prev.then(fn, fn);
+    const tail = next.catch(() => {});
+    this.queues.set(id, tail);
+    tail.then(() => { if (this.queues.get(id) === tail) this.queues.delete(id); });
+    return next;
+  }
+
+  /**
+   * Take the lock file of `id`, waiting for other holders; resolves to its release.
+   * @param {string} id @returns {Promise<() => Promise<void>>}
+   */
+  async lock(id) {
+    await this.init();
+    const path = this.file(id) + LOCK_SUFFIX;
+    for (let delay = 1; ; delay = Math.min(delay * 2, 50)) {
+      try {
+        await (await open(path, 'wx')).close();
+        return () => unlink(path).catch(() => {});
+      } catch (e) {
+        if (e?.code !== 'EEXIST') throw e;
+      }
+      const held = await stat(path).catch(() => null);
+      if (held && Date.now() - held.mtimeMs > this.lease) await unlink(path).catch(() => {});
+      else await sleep(delay);
+    }
+  }
+
+  /**
+   * exclusive() that also holds the lock file, for changes other processes must not interleave with.
+   * @param {string} id @param {() => Promise<any>} fn
+   */
+  locked(id, fn) {
+    return this.exclusive(id, async () => {
+      const release = await this.lock(id);
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    });
+  }
+
+  /** @param {string} id */
+  async read(id) {
+    try {
+      return revive(JSON.parse(await readFile(this.file(id), 'utf8')));
+    } catch (e) {
+      if (e?.code === 'ENOENT') return undefined;
+      throw e;
+    }
+  }
+
+  /** @param {string} id @param {any} value */
+  async write(id, value) {
+    await this.init();
+    const target = this.file(id);
+    const tmp = `${target}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await writeFile(tmp, serialize(value), 'utf8');
+    try {
+      await rename(tmp, target);
+    } catch (e) {
+      await unlink(tmp).catch(() => {});
+      throw e;
+    }
+  }
+
+  /** @param {string} id */
+  async remove(id) {
+    try {
+      await unlink(this.file(id));
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+    }
+  }
+
+  /** @param {string} id */
+  async get(id) { return this.read(id); }
+  /** @param {string} id @param {any} value */
+  async set(id, value) { return this.locked(id, () => this.write(id, value)); }
+  /** @param {string} id */
+  async del(id) { return this.locked(id, () => this.remove(id)); }
+
+  /** @returns {Promise<string[]>} all stored ids */
+  async list() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch (e) {
+      if (e?.code === 'ENOENT') return [];
+      throw e;
+    }
+    return names.filter(n => n.endsWith(SUFFIX)).map(n => decodeId(n.slice(0, -SUFFIX.length)));
+  }
+
+  /**
+   * Replace the record whose `step` equals `expected` (`value === undefined` deletes it).
+   * @param {string} id @param {number} expected @param {any} value
+   */
+  async compareAndSet(id, expected, value) {
+    return this.locked(id, async () => {
+      const current = await this.read(id);
+      if (!current || (current.step ?? 0) !== expected) return false;
+      if (value === undefined) await this.remove(id);
+      else await this.write(id, value);
+      return true;
+    });
+  }
+}
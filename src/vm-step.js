@@ -0,0 +1,84 @@
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const WORKER_KEY = '__sequentialStep';
+
+function getSequentialFetchVM() {
+  const mod = require('sequential-fetch');
+  return mod.SequentialFetchVM;
+}
+
+/**
+ * Run one VM step in this thread: start `job.code`, or restore `job.paused` and resume
+ * `job.state` with `job.input`. The VM is disposed before this returns.
+ *
+ * @param {{ code: string } | { state: any, paused: any, input: any }} job
+ * @param {() => void} [onReady] Called once the VM is set up, right before it runs
+ * @returns {Promise<{ r: any, paused?: any }>} The VM result and, for a pause, the
+ *   paused frame with its variables as `[name, value]` entries
+ */
+async function step(job, onReady) {
+  const SequentialFetchVM = getSequentialFetchVM();
+  const vm = new SequentialFetchVM();
+  try {
+    await vm.initialize();
+    if (!('code' in job)) {
+      vm.paused = { ...job.paused, variables: new Map(job.paused.variables) };
+      for (const [k, v] of vm.paused.variables) vm.variables.set(k, v);
+    }
+    onReady?.();
+    const r = 'code' in job ? await vm.executeCode(job.code) : await vm.resumeExecution(job.state, job.input);
+    if (r.type !== 'pause') return { r };
+    return { r, paused: { ...vm.paused, variables: [...vm.paused.variables.entries()] } };
+  } finally {
+    vm.dispose();
+  }
+}
+
+/**
+ * Run one VM step, stopping it after `ms` milliseconds of execution.
+ *
+ * Without a limit the step runs in this thread. With one it runs in a worker thread that
+ * is terminated when time is up, so synchronous loops are stopped too and nothing keeps
+ * running after the step is given up. The clock starts once the worker's VM is set up.
+ * Jobs and results cross the thread boundary by structured clone.
+ *
+ * @param {{ code: string } | { state: any, paused: any, input: any }} job
+ * @param {number} [ms]
+ * @returns {Promise<{ r: any, paused?: any } | { timedOut: true }>}
+ */
+export function runStep(job, ms) {
+  if (ms == null) return step(job);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { [WORKER_KEY]: job } });
+    /** @type {any} */
+    let timer;
+    /** @param {() => void} settle */
+    const done = (settle) => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      worker.on('error', () => {});
+      void worker.terminate();
+      settle();
+    };
+    worker.on('message', (msg) => {
+      if (msg.ready) {
+        timer = setTimeout(() => done(() => resolve({ timedOut: true })), ms);
+      } else if ('error' in msg) {
+        done(() => reject(Object.assign(new Error(msg.error.message), { name: msg.error.name })));
+      } else {
+        done(() => resolve(msg.result));
+      }
+    });
+    worker.on('error', (e) => done(() => reject(e)));
+    worker.on('exit', (code) => done(() => reject(new Error(`VM worker exited with code ${code}`))));
+  });
+}
+
+if (!isMainThread && workerData?.[WORKER_KEY]) {
+  const port = /** @type {import('worker_threads').MessagePort} */ (parentPort);
+  step(workerData[WORKER_KEY], () => port.postMessage({ ready: true }))
+    .then((result) => port.postMessage({ result }))
+    .catch((e) => port.postMessage({ error: { name: e?.name ?? 'Error', message: e?.message ?? String(e) } }));
+}
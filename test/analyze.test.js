@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { slackNode } from './fixtures.js';
+
+function runtime() {
+  const rt = createRuntime();
+  rt.useNodesRegistry([slackNode], 'https://nodes.example.com');
+  return rt;
+}
+
+test('lists node calls with their URL and location', () => {
+  const { calls, diagnostics } = runtime().analyze('const m = await slack.getChannel({ channel: "c" })');
+  assert.equal(diagnostics.length, 0);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(
+    { node: calls[0].node, method: calls[0].method, url: calls[0].url, line: calls[0].line, column: calls[0].column },
+    { node: 'slack', method: 'getChannel', url: 'https://nodes.example.com/slack/getChannel', line: 1, column: 16 }
+  );
+});
+
+test('reports unknown methods as errors and missing params as warnings', () => {
+  const { diagnostics } = runtime().analyze('await slack.sendMessage({ channel: "c" });\nawait slack.nope()');
+  assert.deepEqual(
+    diagnostics.map(d => [d.severity, d.code, d.line]),
+    [['warning', 'missing-param', 1], ['error', 'unknown-method', 2]]
+  );
+  assert.equal(diagnostics[0].param, 'text');
+});
+
+test('reports syntax errors instead of throwing', () => {
+  const { diagnostics } = runtime().analyze('await slack.sendMessage(');
+  assert.equal(diagnostics.length, 1);
+  assert.equal(diagnostics[0].severity, 'error');
+});
+
+test('calls on local bindings named like a node are not node calls', () => {
+  const rt = runtime();
+  const { calls, diagnostics } = rt.analyze('const slack = { nope: () => 1 };\nreturn slack.nope()');
+  assert.deepEqual([calls, diagnostics], [[], []]);
+  assert.equal(rt.analyze('function f(slack) { return slack.nope() }').diagnostics.length, 0);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { normalize, describePause, validatePause } from '../src/core.js';
+import { captureRequests, slackNode } from './fixtures.js';
+
+/** @param {any} rt @param {string} code */
+async function pauseOf(rt, code) {
+  const [request] = await captureRequests(normalize(code, rt.registry).code);
+  return { request, pause: describePause(request, 't', 0, rt.registry) };
+}
+
+test('methods sharing a path with different verbs keep their identity', async () => {
+  const rt = createRuntime();
+  rt.use({
+    name: 'api',
+    methods: [
+      { call: 'users.get', path: 'users/{id}', method: 'GET' },
+      { call: 'users.remove', path: 'users/{id}', method: 'DELETE' },
+    ],
+  }, 'https://api.example.com');
+
+  const { pause } = await pauseOf(rt, 'await api.users.remove({ id: 3 })');
+  assert.equal(pause.fetch.method, 'DELETE');
+  assert.equal(pause.fetch.url, 'https://api.example.com/users/3');
+  assert.deepEqual(pause.fetch.call, { node: 'api', method: 'users.remove', args: [{ id: 3 }] });
+
+  const get = await pauseOf(rt, 'await api.users.get({ id: 3 })');
+  assert.deepEqual(get.pause.fetch.call, { node: 'api', method: 'users.get', args: [{ id: 3 }] });
+});
+
+test('legacy ?args= calls are identified by URL', async () => {
+  const rt = createRuntime();
+  rt.use({ name: 'api', methods: ['greet'] }, 'https://api.example.com');
+  const { pause } = await pauseOf(rt, 'await api.greet("x")');
+  assert.deepEqual(pause.fetch.call, { node: 'api', method: 'greet', args: ['x'] });
+});
+
+test('batched calls name their own operation and node credentials', async () => {
+  const rt = createRuntime();
+  rt.useNodesRegistry([slackNode], 'https://nodes.example.com', { method: 'POST' });
+  const code = 'await Promise.all([slack.getChannel({ channel: "c" }), slack.sendMessage({ channel: "c", text: "hi" })])';
+  const { pause } = await pauseOf(rt, code);
+  assert.deepEqual(pause.batch.map(r => r.call.method), ['getChannel', 'sendMessage']);
+  assert.deepEqual(pause.batch[1].credentials, [{ node: 'slack', operation: 'sendMessage', name: 'token' }]);
+});
+
+test('params are validated against the operation actually called', async () => {
+  const rt = createRuntime();
+  rt.useNodesRegistry([slackNode], 'https://nodes.example.com', { method: 'POST' });
+  const ok = await captureRequests(normalize('await slack.sendMessage({ channel: "c", text: "hi" })', rt.registry).code);
+  assert.equal(validatePause(ok[0], rt.registry), null);
+  const bad = await captureRequests(normalize('await slack.getChannel({ channel: "c", text: "hi" })', rt.registry).code);
+  assert.deepEqual(validatePause(bad[0], rt.registry).issues.map(i => i.path), ['text']);
+});
+
+test('a scalar argument fills the single path or query param', async () => {
+  const rt = createRuntime();
+  rt.use({
+    name: 'api',
+    methods: [
+      { call: 'users.get', path: 'users/{id}' },
+      { call: 'search', path: 'search', query: ['q'] },
+      { call: 'users.move', path: 'users/{id}/to/{team}' },
+    ],
+  }, 'https://api.example.com');
+
+  const { pause } = await pauseOf(rt, 'await api.users.get(1)');
+  assert.equal(pause.fetch.url, 'https://api.example.com/users/1');
+  const search = await pauseOf(rt, 'await api.search("a term")');
+  assert.equal(search.pause.fetch.url, 'https://api.example.com/search?q=a%20term');
+
+  for (const call of ['api.users.move(1)', 'api.users.get({})', 'api.users.get()']) {
+    await assert.rejects(() => captureRequests(normalize(`await ${call}`, rt.registry).code), { name: 'ValidationError' }, call);
+  }
+});
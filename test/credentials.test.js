@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { normalize, describePause } from '../src/core.js';
+import { captureRequests, needsVM, slackNode } from './fixtures.js';
+
+/** A runtime with the slack node (JSON bodies) and the paused request for `code`. */
+async function paused(code, credentials) {
+  const rt = createRuntime({ credentials });
+  rt.useNodesRegistry([slackNode], 'https://nodes.example.com', { method: 'POST' });
+  const [request] = await captureRequests(normalize(code, rt.registry).code);
+  return { rt, fetch: describePause(request, 't', 0, rt.registry).fetch };
+}
+
+const send = 'await slack.sendMessage({ channel: "c", text: "hi" })';
+
+test('credentials the call does not pass are filled from the resolver', async () => {
+  const { rt, fetch } = await paused(send, { slack: { token: 'xoxb-1' } });
+  const request = await rt.attachCredentials(fetch);
+  assert.equal(request.credentials, undefined);
+  assert.deepEqual(JSON.parse(request.body), { channel: 'c', text: 'hi', token: 'xoxb-1' });
+});
+
+test('a credential the call passes is kept', async () => {
+  const { rt, fetch } = await paused('await slack.sendMessage({ channel: "c", text: "hi", token: "mine" })', () => 'xoxb-1');
+  assert.equal(JSON.parse((await rt.attachCredentials(fetch)).body).token, 'mine');
+});
+
+test('a null credential is left out', async () => {
+  const { rt, fetch } = await paused(send, () => null);
+  const request = await rt.attachCredentials(fetch);
+  assert.equal('token' in JSON.parse(request.body), false);
+  assert.equal(request.credentials, undefined);
+});
+
+test('without a resolver the request goes out as the call made it', async () => {
+  const { rt, fetch } = await paused(send);
+  const { credentials: _refs, ...expected } = fetch;
+  assert.deepEqual(await rt.attachCredentials(fetch), expected);
+});
+
+test('runToCompletion attaches credentials by the same rules', needsVM, async () => {
+  const rt = createRuntime({ credentials: ({ name }) => (name === 'token' ? 'xoxb-1' : null) });
+  rt.useNodesRegistry([slackNode], 'https://nodes.example.com', { method: 'POST' });
+  const bodies = [];
+  const fetch = async (_url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response('{"ok":true}', { headers: { 'content-type': 'application/json' } });
+  };
+  const code = `${send};\nawait slack.sendMessage({ channel: "c", text: "hi", token: "mine" });\nreturn "done"`;
+  const task = await rt.runToCompletion(code, { fetch });
+  assert.equal(task.status, 'done');
+  assert.deepEqual(bodies.map(b => b.token), ['xoxb-1', 'mine']);
+});
@@ -0,0 +1,42 @@
+/** A nodes-registry node with an operation selector, conditional params and a credential. */
+export const slackNode = {
+  name: 'slack',
+  type: 'action',
+  actions: [
+    {
+      name: 'operation',
+      type: 'options',
+      options: [{ name: 'sendMessage' }, { name: 'getChannel' }],
+    },
+    { name: 'channel', type: 'string', show: { 'actions.operation': ['sendMessage', 'getChannel'] } },
+    { name: 'text', type: 'string', show: { 'actions.operation': ['sendMessage'] } },
+    { name: 'mode', type: 'options', options: [{ name: 'plain' }, { name: 'blocks' }], optional: true },
+    { name: 'blocks', type: 'string', show: { mode: ['blocks'] } },
+  ],
+  credentials: [{ name: 'token', type: 'string' }],
+};
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+/**
+ * Run normalized workflow code outside the VM, answering every fetch() with `respond`
+ * (default: null), and return the requests it made in order.
+ *
+ * @param {string} code Output of normalize()
+ * @param {(url: string, init?: any) => any} [respond]
+ */
+export async function captureRequests(code, respond = () => null) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push(init === undefined ? { url } : { url, init });
+    return respond(url, init);
+  };
+  await new AsyncFunction('fetch', code)(fetch);
+  return requests;
+}
+
+/** Whether the workflow VM (sequential-fetch) is installed. */
+export const hasVM = await import('sequential-fetch').then(() => true, () => false);
+
+/** Test options for end-to-end tests, which run workflows in the VM. */
+export const needsVM = { skip: !hasVM && 'sequential-fetch is not installed' };
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, traceHooks } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+/** A stored paused task whose VM frame cannot be restored. */
+const broken = {
+  version: 1,
+  code: '',
+  status: 'paused',
+  step: 1,
+  state: {},
+  paused: { variables: 5 },
+  pause: { fetch: { url: 'https://api.example.com/u' } },
+  createdAt: 0,
+  updatedAt: 0,
+};
+
+test('a resume that fails inside the runtime reports a step error and keeps the task', async () => {
+  const events = [];
+  const spans = [];
+  const record = (name) => (e) => events.push([name, e]);
+  const rt = createRuntime({
+    hooks: [
+      { onStepError: record('onStepError'), onError: record('onError'), onComplete: record('onComplete') },
+      traceHooks(span => spans.push(span)),
+    ],
+  });
+  await rt.storage.set('t', broken);
+
+  const result = await rt.resume('t', { name: 'Bob' }, { step: 1 });
+  assert.equal(result.status, 'error');
+  assert.equal(result.step, 1);
+  assert.deepEqual(events.map(([name]) => name), ['onStepError']);
+  assert.equal(events[0][1].step, 1);
+  assert.equal(events[0][1].status, 'paused');
+  assert.equal((await rt.getTask('t')).status, 'paused');
+
+  assert.equal(spans.some(s => s.name === 'sequential.task'), false);
+  const step = spans.find(s => s.name === 'sequential.step');
+  assert.equal(step.status.code, 'ERROR');
+  assert.equal(step.attributes['sequential.step'], 1);
+});
+
+test('hooks follow a task from start to completion and traceHooks() emits its spans', needsVM, async () => {
+  const events = [];
+  const spans = [];
+  const record = (name) => (e) => events.push([name, e]);
+  const rt = createRuntime({
+    hooks: [
+      {
+        onStart: record('onStart'),
+        onPause: record('onPause'),
+        onResume: record('onResume'),
+        onComplete: record('onComplete'),
+        onError: () => { throw new Error('ignored'); },
+      },
+      traceHooks(span => spans.push(span)),
+    ],
+  });
+  rt.use({ name: 'api', methods: ['users.get'] }, 'https://api.example.com');
+
+  await rt.run('const u = await api.users.get(1);\nreturn u.name;', 't');
+  await rt.resume('t', { name: 'Bob' });
+  assert.deepEqual(events.map(([name]) => name), ['onStart', 'onPause', 'onResume', 'onComplete']);
+  assert.deepEqual(events[1][1].calls.map(c => [c.node, c.method]), [['api', 'users.get']]);
+  assert.equal(events[3][1].result, 'Bob');
+
+  assert.deepEqual(spans.map(s => s.name), ['api.users.get', 'sequential.task']);
+  const [call, task] = spans;
+  assert.equal(call.parentSpanId, task.spanId);
+  assert.equal(call.traceId, task.traceId);
+  assert.deepEqual(task.status, { code: 'OK' });
+
+  await rt.run('throw new Error("no")', 'u');
+  assert.equal(spans.at(-1).status.code, 'ERROR');
+});
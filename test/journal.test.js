@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, InMemoryStorage } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+const code = 'const u = await fetch("https://api.example.com/u");\nreturn u.name;';
+
+test('finished journals are only kept in configured journal storage', needsVM, async () => {
+  const rt = createRuntime();
+  assert.equal(rt.journals, undefined);
+  await rt.run(code, 'a', { journal: true });
+  const done = await rt.resume('a', { name: 'Bob' });
+  assert.equal(done.journal.result, 'Bob');
+  assert.equal(await rt.getJournal('a'), undefined);
+
+  rt.journals = new InMemoryStorage();
+  await rt.run(code, 'b', { journal: true });
+  await rt.resume('b', { name: 'Bob' });
+  assert.equal((await rt.getJournal('b')).result, 'Bob');
+});
+
+test('getJournal() returns the in-progress journal of a paused task', async () => {
+  const rt = createRuntime();
+  const journal = { id: 't', code, startedAt: 1, entries: [{ step: 1, fetch: { url: 'https://api.example.com/u' }, pausedAt: 2 }] };
+  await rt.storage.set('t', { version: 1, code, status: 'paused', step: 1, journal });
+  assert.deepEqual(await rt.getJournal('t'), journal);
+});
+
+test('replay() reports where changed code leaves the recorded path', needsVM, async () => {
+  const rt = createRuntime();
+  await rt.run(code, 't', { journal: true });
+  const { journal } = await rt.resume('t', { name: 'Bob' });
+  assert.deepEqual(journal.entries.map(e => [e.step, e.fetch.url, e.response]), [[1, 'https://api.example.com/u', { name: 'Bob' }]]);
+
+  assert.equal((await rt.replay(code, journal)).diverged, null);
+
+  const otherUrl = await rt.replay(code.replace('/u', '/v'), journal);
+  assert.equal(otherUrl.diverged.step, 1);
+  assert.equal(otherUrl.diverged.actual.fetch.url, 'https://api.example.com/v');
+
+  const otherResult = await rt.replay(code.replace('u.name', 'u.name.toUpperCase()'), journal);
+  assert.deepEqual(otherResult.diverged.actual, { status: 'done', result: 'BOB', error: undefined });
+});
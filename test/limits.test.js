@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+test('a task older than maxAgeMs ends on its next resume', async () => {
+  const rt = createRuntime();
+  await rt.storage.set('t', {
+    version: 1,
+    code: '',
+    status: 'paused',
+    step: 1,
+    pause: { fetch: { url: 'https://api.example.com/u' } },
+    createdAt: Date.now() - 60_000,
+    limits: { maxAgeMs: 1000 },
+  });
+  const task = await rt.resume('t', {});
+  assert.deepEqual(task, { id: 't', status: 'limit_exceeded', limit: 'maxAgeMs', error: 'Task is older than 1000ms' });
+  assert.equal(await rt.getTask('t'), undefined);
+});
+
+test('maxPauses ends a task, with run.limits as defaults', needsVM, async () => {
+  const rt = createRuntime({ limits: { maxPauses: 2 } });
+  const code = 'for (let i = 0; i < 5; i++) await fetch("https://api.example.com/" + i);';
+  let task = await rt.run(code, 't');
+  task = await rt.resume('t', null);
+  assert.equal(task.status, 'paused');
+  task = await rt.resume('t', null);
+  assert.equal(task.status, 'limit_exceeded');
+  assert.equal(task.limit, 'maxPauses');
+  assert.equal(await rt.getTask('t'), undefined);
+
+  task = await rt.run(code, 'u', { limits: { maxPauses: 1 } });
+  assert.equal((await rt.resume('u', null)).limit, 'maxPauses');
+});
+
+test('maxStepMs stops a step that never yields', needsVM, async () => {
+  const rt = createRuntime();
+  const task = await rt.run('while (true) {}', 't', { limits: { maxStepMs: 200 } });
+  assert.equal(task.status, 'limit_exceeded');
+  assert.equal(task.limit, 'maxStepMs');
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, CompileError } from '../src/index.js';
+import { normalize, locateError } from '../src/core.js';
+import { captureRequests } from './fixtures.js';
+
+function registry() {
+  const rt = createRuntime();
+  rt.use({ name: 'api', methods: ['users.get', 'greet'] }, 'https://api.example.com');
+  rt.use({
+    name: 'rest',
+    methods: [{ call: 'users.create', path: 'users', method: 'POST' }],
+  }, 'https://rest.example.com');
+  return rt.registry;
+}
+
+test('rewrites SDK calls to fetch() with ?args= and wraps the call', () => {
+  const { code } = normalize('const u = await api.users.get(1);\nreturn u;', registry());
+  assert.match(code, /await __sqCheck\(fetch\("https:\/\/api\.example\.com\/users\.get\?args="\+encodeURIComponent\(JSON\.stringify\(\[1\]\)\)\)\)/);
+  assert.match(code, /\(u\);$/);
+});
+
+test('errors delivered on resume are thrown however the call is awaited', async () => {
+  const failed = () => ({ __sqError: { name: 'FetchError', message: 'nope', status: 500 } });
+  for (const source of [
+    'await api?.greet("x")',
+    'const p = api.greet("x");\nawait p',
+    'await (api.greet("x"))',
+    'await fetch("https://example.com/x")',
+  ]) {
+    const { code } = normalize(source, registry());
+    await assert.rejects(() => captureRequests(code, failed), { name: 'FetchError', message: 'nope', status: 500 }, source);
+  }
+});
+
+test('calls with a declared verb build their request at runtime', () => {
+  const { code } = normalize('return await rest.users.create({ name: "x" })', registry());
+  assert.match(code, /function __sqRequest\(/);
+  assert.match(code, /__sqRequest\(\{"node":"rest","call":"users\.create","base":"https:\/\/rest\.example\.com","path":"users","method":"POST"/);
+});
+
+test('several top-level returns use the labeled wrapper', () => {
+  const { code } = normalize('if (a) return 1;\nreturn 2;', registry());
+  assert.match(code, /^var __sqResult;\n__sqReturn: \{/);
+  assert.match(code, /\{ __sqResult = \(1\); break __sqReturn; \}/);
+  assert.match(code, /\n}\n__sqResult$/);
+});
+
+test('returns inside functions are left alone', () => {
+  const { code } = normalize('const f = () => { return 1; };\nreturn f();', registry());
+  assert.match(code, /\{ return 1; \}/);
+});
+
+test('strips comments and makes ASI semicolons explicit', () => {
+  const { code } = normalize('const a = 1 // one\nconst b = 2 /* two */\nreturn a + b', registry());
+  assert.doesNotMatch(code, /one|two/);
+  assert.match(code, /const a = 1;/);
+  assert.match(code, /const b = 2;/);
+});
+
+test('a block comment between tokens leaves a space', () => {
+  const { code } = normalize('return typeof/**/x', registry());
+  assert.equal(code, '(typeof x);');
+});
+
+test('strings that look like calls are not rewritten', () => {
+  const { code } = normalize('return "api.users.get(1)"', registry());
+  assert.equal(code, '("api.users.get(1)");');
+});
+
+test('unknown methods of a registered spec are compile errors with a location', () => {
+  assert.throws(() => normalize('\nawait api.nope()', registry()), (e) => {
+    assert.ok(e instanceof CompileError);
+    assert.equal(e.line, 2);
+    return true;
+  });
+});
+
+test('runtime errors are located only from positions they carry as data', () => {
+  const source = 'const a = 1;\nthrow new Error("Meeting at 10:45");';
+  const task = { source, ...normalize(source, registry()) };
+  assert.equal(locateError({ message: 'Meeting at 10:45', stack: 'Error: Meeting at 10:45\n    at x (10:45)' }, task), undefined);
+  assert.equal(locateError('Meeting at 10:45', task), undefined);
+  const line = task.code.split('\n').findIndex(l => l.includes('throw')) + 1;
+  assert.equal(locateError({ message: 'Meeting at 10:45', line, column: 0 }, task).line, 2);
+  assert.equal(locateError({ message: 'x', loc: { line, column: 0 } }, task).line, 2);
+});
+
+test('sleep() and waitForEvent() become pausing pseudo-requests unless declared', () => {
+  const { code } = normalize('await sleep("1m"); await waitForEvent("go")', registry());
+  assert.match(code, /fetch\("sequential:sleep\?args="/);
+  assert.match(code, /fetch\("sequential:event\?args="/);
+  const own = normalize('const sleep = (ms) => ms; await sleep(1)', registry());
+  assert.doesNotMatch(own.code, /sequential:sleep/);
+});
+
+test('Promise.all of SDK calls becomes one batch', () => {
+  const { code } = normalize('const [a, b] = await Promise.all([api.greet("a"), api.greet("b")])', registry());
+  assert.match(code, /fetch\("sequential:batch\?requests="/);
+  assert.equal(code.match(/\{ url: /g).length, 2);
+});
+
+test('child workflows get their args', () => {
+  const { code } = normalize('return args.n', registry(), { args: { n: 1 } });
+  assert.match(code, /^var args = \{"n":1\};\n/);
+});
+
+test('calls on a local binding that shadows a spec are left alone', () => {
+  const rt = createRuntime();
+  rt.use({ name: 'http', methods: ['request'] }, 'https://n.example.com');
+  const shadowed = normalize('const http = { get: u => u };\nreturn http.get("x")', rt.registry);
+  assert.equal(shadowed.code, 'const http = { get: u => u };\n(http.get("x"));');
+  assert.deepEqual(shadowed.specs, []);
+
+  const param = normalize('function f(http) { return http.request() }\nawait http.request()', rt.registry).code;
+  assert.match(param, /function f\(http\) \{ return http\.request\(\); \}/);
+  assert.match(param, /await __sqCheck\(fetch\("https:\/\/n\.example\.com\/request"\)\);$/);
+});
+
+test('a local workflow binding only shadows workflow() where it is in scope', () => {
+  const { code } = normalize('function g() { const workflow = (n) => n; return workflow(1) }\nawait workflow("child")', registry());
+  assert.match(code, /return workflow\(1\)/);
+  assert.match(code, /fetch\("sequential:workflow\?args="/);
+});
+
+test('reports the specs the code calls', () => {
+  const { specs } = normalize('await api.greet(); await rest.users.create({})', registry());
+  assert.deepEqual(specs, ['api', 'rest']);
+});
+
+test('the position map points rewritten code back to the source', () => {
+  const source = 'const x = 1;\nthrow new Error("boom")';
+  const { code, map } = normalize(source, registry());
+  const out = code.indexOf('throw');
+  const [o, s] = map.filter(([start]) => start <= out).at(-1);
+  assert.equal(source.slice(s + (out - o), s + (out - o) + 5), 'throw');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { normalize, describePause, validatePause } from '../src/core.js';
+import { captureRequests } from './fixtures.js';
+
+const petStore = {
+  openapi: '3.0.0',
+  info: { title: 'petStore', version: '1.0.0' },
+  servers: [{ url: 'https://pets.example.com/v1' }],
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+      },
+      post: {
+        operationId: 'createPet',
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } } } } },
+      },
+    },
+    '/pets/{petId}': {
+      parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+      get: { operationId: 'getPet' },
+      put: {
+        operationId: 'updatePet',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } } },
+        },
+      },
+    },
+  },
+};
+
+/** @param {string} code */
+async function pause(code) {
+  const rt = createRuntime();
+  rt.useOpenAPI(petStore);
+  const [request] = await captureRequests(normalize(code, rt.registry).code);
+  return { invalid: validatePause(request, rt.registry), pause: describePause(request, 't', 0, rt.registry) };
+}
+
+test('two verbs on one path: PUT is validated and described as its own operation', async () => {
+  const { invalid, pause: { fetch } } = await pause('await petStore.updatePet({ petId: "p1", name: "Rex" })');
+  assert.equal(invalid, null);
+  assert.equal(fetch.method, 'PUT');
+  assert.equal(fetch.url, 'https://pets.example.com/v1/pets/p1');
+  assert.equal(fetch.body, '{"name":"Rex"}');
+  assert.equal(fetch.call.method, 'updatePet');
+});
+
+test('two verbs on one path: POST with a whole-body param', async () => {
+  const { invalid, pause: { fetch } } = await pause('await petStore.createPet({ body: ["Rex"] })');
+  assert.equal(invalid, null);
+  assert.equal(fetch.method, 'POST');
+  assert.equal(fetch.url, 'https://pets.example.com/v1/pets');
+  assert.equal(fetch.body, '["Rex"]');
+  assert.equal(fetch.call.method, 'createPet');
+});
+
+test('two verbs on one path: GET keeps its own params', async () => {
+  const list = await pause('await petStore.listPets({ limit: 2 })');
+  assert.equal(list.invalid, null);
+  assert.equal(list.pause.fetch.url, 'https://pets.example.com/v1/pets?limit=2');
+  const get = await pause('await petStore.getPet({ petId: "p1", name: "Rex" })');
+  assert.deepEqual(get.invalid.issues.map(i => i.path), ['name']);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { performRequest } from '../src/core.js';
+import { needsVM } from './fixtures.js';
+
+/** A fetch that answers from `responses` in order and counts its calls. */
+function fakeFetch(...responses) {
+  const fetch = async () => {
+    fetch.calls++;
+    const r = responses[Math.min(fetch.calls, responses.length) - 1];
+    if (r instanceof Error) throw r;
+    return new Response(r.body, { status: r.status, headers: r.headers });
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+const opts = (fetch, extra = {}) => ({ fetch, timeoutMs: 1000, retries: 2, backoff: 0, ...extra });
+const flaky = () => fakeFetch({ status: 503, body: 'busy' }, { status: 503, body: 'busy' }, { status: 200, body: '{"ok":true}' });
+
+test('idempotent requests are retried on transient failures', async () => {
+  const fetch = flaky();
+  const out = await performRequest({ url: 'https://api.example.com/x', method: 'GET' }, opts(fetch));
+  assert.deepEqual(out.data, { ok: true });
+  assert.equal(fetch.calls, 3);
+});
+
+test('POST, PUT and PATCH are not retried unless asked to', async () => {
+  for (const method of ['POST', 'PUT', 'PATCH']) {
+    const fetch = flaky();
+    const out = await performRequest({ url: 'https://api.example.com/x', method }, opts(fetch));
+    assert.equal(out.ok, false);
+    assert.equal(out.error.status, 503);
+    assert.equal(fetch.calls, 1, method);
+  }
+  const fetch = flaky();
+  const out = await performRequest({ url: 'https://api.example.com/x', method: 'POST' }, opts(fetch, { retryNonIdempotent: true }));
+  assert.equal(out.ok, true);
+  assert.equal(fetch.calls, 3);
+});
+
+test('a successful response with a malformed JSON body fails without a retry', async () => {
+  const fetch = fakeFetch({ status: 200, body: '{nope', headers: { 'content-type': 'application/json' } });
+  const out = await performRequest({ url: 'https://api.example.com/x' }, opts(fetch));
+  assert.equal(out.ok, false);
+  assert.equal(out.error.name, 'ParseError');
+  assert.equal(out.error.body, '{nope');
+  assert.equal(fetch.calls, 1);
+});
+
+test('network errors of idempotent requests are retried', async () => {
+  const fetch = fakeFetch(new TypeError('fetch failed'), { status: 200, body: 'plain' });
+  const out = await performRequest({ url: 'https://api.example.com/x' }, opts(fetch));
+  assert.equal(out.data, 'plain');
+  assert.equal(out.trace.attempts, 2);
+});
+
+test('runToCompletion() performs each pause and traces the steps', needsVM, async () => {
+  const rt = createRuntime();
+  const urls = [];
+  const fetch = async (url) => {
+    urls.push(url);
+    return new Response(JSON.stringify({ n: urls.length }), { headers: { 'content-type': 'application/json' } });
+  };
+  const code = [
+    'const a = await fetch("https://api.example.com/a");',
+    'const [b, c] = await Promise.all([fetch("https://api.example.com/b"), fetch("https://api.example.com/c")]);',
+    'return a.n + b.n + c.n;',
+  ].join('\n');
+  const task = await rt.runToCompletion(code, { fetch });
+  assert.equal(task.status, 'done');
+  assert.equal(task.result, 6);
+  assert.deepEqual(urls.slice(1).sort(), ['https://api.example.com/b', 'https://api.example.com/c']);
+  assert.deepEqual(task.trace.map(s => s.requests.length), [1, 2]);
+});
+
+test('runToCompletion() throws failed requests into the workflow', needsVM, async () => {
+  const rt = createRuntime();
+  const fetch = fakeFetch({ status: 404, body: '{"missing":true}', headers: { 'content-type': 'application/json' } });
+  const code = 'try {\n  await fetch("https://api.example.com/a");\n} catch (e) {\n  return [e.status, e.body];\n}';
+  const task = await rt.runToCompletion(code, { fetch, backoff: 0 });
+  assert.deepEqual(task.result, [404, { missing: true }]);
+  assert.equal(task.trace[0].requests[0].status, 404);
+});
+
+test('runToCompletion() cancels a task that pauses more than maxSteps times', needsVM, async () => {
+  const rt = createRuntime();
+  const fetch = fakeFetch({ status: 200, body: 'null' });
+  const task = await rt.runToCompletion('while (true) await fetch("https://api.example.com/a");', { id: 'loop', fetch, maxSteps: 3 });
+  assert.equal(task.status, 'error');
+  assert.equal(task.error, 'Exceeded maxSteps (3)');
+  assert.equal(task.trace.length, 3);
+  assert.equal(await rt.getTask('loop'), undefined);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+function runtime() {
+  const rt = createRuntime();
+  rt.use({ name: 'api', methods: ['users.get', 'greet'] }, 'https://api.example.com');
+  return rt;
+}
+
+test('run() pauses on an SDK call and resume() finishes the task', needsVM, async () => {
+  const rt = runtime();
+  let task = await rt.run('const u = await api.users.get(1);\nreturn u.name;', 't');
+  assert.equal(task.status, 'paused');
+  assert.equal(task.step, 1);
+  assert.deepEqual(task.fetch.call, { node: 'api', method: 'users.get', args: [1] });
+  assert.equal((await rt.getTask('t')).status, 'paused');
+
+  task = await rt.resume('t', { name: 'Bob' });
+  assert.equal(task.status, 'done');
+  assert.equal(task.result, 'Bob');
+  assert.equal(await rt.getTask('t'), undefined);
+});
+
+test('a local binding named like a spec runs as plain code', needsVM, async () => {
+  const rt = runtime();
+  const task = await rt.run('const api = { greet: (n) => "hi " + n };\nreturn api.greet("Bob");', 't');
+  assert.equal(task.status, 'done');
+  assert.equal(task.result, 'hi Bob');
+});
+
+test('early returns, object literals and returns inside functions end the task as written', needsVM, async () => {
+  const rt = runtime();
+  const code = [
+    'const u = await api.users.get(1);',
+    'if (!u) return { found: false, id: 1 };',
+    'const name = [u].map(function (x) { return x.name; })[0];',
+    'return { found: true, name };',
+  ].join('\n');
+  await rt.run(code, 'missing');
+  assert.deepEqual((await rt.resume('missing', null)).result, { found: false, id: 1 });
+  await rt.run(code, 'found');
+  assert.deepEqual((await rt.resume('found', { name: 'Bob' })).result, { found: true, name: 'Bob' });
+});
+
+test('Promise.all of SDK calls pauses once and resumes with every response', needsVM, async () => {
+  const rt = runtime();
+  const code = 'const [a, b] = await Promise.all([api.greet("a"), api.greet("b")]);\nreturn a + b;';
+  const task = await rt.run(code, 'list');
+  assert.deepEqual(task.batch.map(r => r.id), ['list:0:0', 'list:0:1']);
+  assert.equal((await rt.resume('list', ['A', 'B'])).result, 'AB');
+
+  await rt.run(code, 'keyed');
+  assert.equal((await rt.resume('keyed', { 'keyed:0:1': 'B', 'keyed:0:0': 'A' })).result, 'AB');
+});
+
+test('a batch resume must answer every request', async () => {
+  const rt = runtime();
+  const batch = [{ id: 't:0:0', url: 'https://api.example.com/greet' }, { id: 't:0:1', url: 'https://api.example.com/greet' }];
+  await rt.storage.set('t', { version: 1, code: '', status: 'paused', step: 1, pause: { batch } });
+  await assert.rejects(() => rt.resume('t', ['A']), /Expected 2 responses, got 1/);
+  await assert.rejects(() => rt.resume('t', { 't:0:0': 'A' }), /Missing response for request t:0:1/);
+  assert.equal((await rt.getTask('t')).step, 1);
+});
+
+test('resumeWithError() throws at the paused await for the workflow to catch', needsVM, async () => {
+  const rt = runtime();
+  const code = [
+    'try {',
+    '  return await api.users.get(1);',
+    '} catch (e) {',
+    '  return { name: e.name, message: e.message, status: e.status, body: e.body };',
+    '}',
+  ].join('\n');
+  await rt.run(code, 'caught');
+  const task = await rt.resumeWithError('caught', { name: 'FetchError', message: 'gone', status: 404, body: { id: 1 } });
+  assert.equal(task.status, 'done');
+  assert.deepEqual(task.result, { name: 'FetchError', message: 'gone', status: 404, body: { id: 1 } });
+
+  await rt.run('return await api.users.get(1)', 'uncaught');
+  const failed = await rt.resumeWithError('uncaught', 'boom');
+  assert.equal(failed.status, 'error');
+  assert.match(JSON.stringify(failed.error), /boom/);
+});
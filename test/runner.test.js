@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, createTestRunner } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+function runtime() {
+  const rt = createRuntime();
+  rt.use({ name: 'api', methods: ['users.get', 'users.notify'] }, 'https://api.example.com');
+  return rt;
+}
+
+test('mocks answer calls, which are recorded in order', needsVM, async () => {
+  const runner = createTestRunner({
+    runtime: runtime(),
+    mocks: [
+      { node: 'api', method: 'users.get', data: (call) => ({ id: call.args[0], name: 'Bob' }) },
+      { node: 'api', method: 'users.notify', error: { message: 'down', status: 503 }, once: true },
+      { node: 'api', method: 'users.notify', data: 'sent' },
+    ],
+    events: { approved: true },
+  });
+  const code = [
+    'const u = await api.users.get(1);',
+    'await sleep("1d");',
+    'const ok = await waitForEvent("approved");',
+    'let first;',
+    'try { await api.users.notify(u.id); } catch (e) { first = e.status; }',
+    'return [u.name, ok, first, await api.users.notify(u.id)];',
+  ].join('\n');
+  const task = await runner.run(code);
+  assert.equal(task.status, 'done');
+  assert.deepEqual(task.result, ['Bob', true, 503, 'sent']);
+  assert.deepEqual(task.calls.map(c => c.method), ['users.get', 'users.notify', 'users.notify']);
+});
+
+test('a call without a mock ends the run with an error', needsVM, async () => {
+  const runner = createTestRunner({ runtime: runtime() });
+  const task = await runner.run('return await api.users.get(1)');
+  assert.equal(task.status, 'error');
+  assert.equal(task.error, 'No mock for api.users.get');
+  assert.equal(task.calls.length, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+/** A runtime holding a task that sleeps for another hour. */
+async function sleeper() {
+  const rt = createRuntime();
+  const wakeAt = Date.now() + 3_600_000;
+  await rt.storage.set('t', { code: '', status: 'sleeping', step: 1, pause: { wakeAt, duration: 3_600_000 } });
+  return { rt, wakeAt };
+}
+
+test('a sleeping task cannot be resumed before it is due', async () => {
+  const { rt, wakeAt } = await sleeper();
+  const message = new RegExp(`sleeping until ${new Date(wakeAt).toISOString()}`);
+  await assert.rejects(() => rt.resume('t'), { message });
+  await assert.rejects(() => rt.resumeWithError('t', 'early', { step: 1 }), { message });
+  assert.equal((await rt.getTask('t')).status, 'sleeping');
+  assert.deepEqual(await rt.dueTasks(), []);
+});
+
+test('a sleeping task wakes when due, or early with force', needsVM, async () => {
+  const rt = createRuntime();
+  let task = await rt.run('await sleep("1h");\nreturn "woke"', 'early');
+  assert.equal(task.status, 'sleeping');
+  await assert.rejects(() => rt.resume('early'), /sleeping until/);
+  task = await rt.resume('early', undefined, { force: true });
+  assert.equal(task.status, 'done');
+  assert.equal(task.result, 'woke');
+
+  task = await rt.run('await sleep(10);\nreturn "woke"', 'due');
+  await new Promise(r => setTimeout(r, 20));
+  assert.deepEqual((await rt.dueTasks()).map(t => t.id), ['due']);
+  assert.equal((await rt.resume('due', undefined, { step: task.step })).result, 'woke');
+});
+
+test('dueTasks() lists sleepers past wakeAt and waits past their timeout', async () => {
+  const rt = createRuntime();
+  const now = Date.now();
+  const stored = (status, pause) => ({ version: 1, code: '', status, step: 1, pause });
+  await rt.storage.set('awake', stored('sleeping', { wakeAt: now - 1, duration: 1 }));
+  await rt.storage.set('timed-out', stored('waiting', { event: 'go', timeoutAt: now - 1 }));
+  await rt.storage.set('patient', stored('waiting', { event: 'go' }));
+  assert.deepEqual((await rt.dueTasks(now)).map(t => t.id).sort(), ['awake', 'timed-out']);
+});
+
+test('deliverEvent() resumes waiting tasks, and a passed timeout throws instead', needsVM, async () => {
+  const rt = createRuntime();
+  const code = 'try {\n  return await waitForEvent("go", { timeout: "20ms" });\n} catch (e) {\n  return e.name;\n}';
+  await rt.run('return await waitForEvent("go")', 'a');
+  await rt.run(code, 'b');
+  assert.equal((await rt.getTask('a')).status, 'waiting');
+  await new Promise(r => setTimeout(r, 30));
+
+  const results = await rt.deliverEvent('go', { ok: true });
+  const byId = Object.fromEntries(results.map(r => [r.id, r.result]));
+  assert.deepEqual(byId, { a: { ok: true }, b: 'TimeoutError' });
+  assert.deepEqual(await rt.deliverEvent('go', {}), []);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { InMemoryStorage } from '../src/index.js';
+import { FileStorage } from '../src/file-storage.js';
+import { runStorageConformance } from '../src/conformance.js';
+
+/** @param {{ ok: boolean, results: Array<{ name: string, ok: boolean, error?: Error }> }} report */
+function assertPassed(report) {
+  const failed = report.results.filter(r => !r.ok).map(r => `${r.name}: ${r.error?.message}`);
+  assert.deepEqual(failed, []);
+}
+
+test('InMemoryStorage passes the conformance suite', async () => {
+  assertPassed(await runStorageConformance(() => new InMemoryStorage()));
+});
+
+test('FileStorage passes the conformance suite', async (t) => {
+  const root = await mkdtemp(join(tmpdir(), 'sequential-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+  let n = 0;
+  assertPassed(await runStorageConformance(
+    () => new FileStorage(join(root, String(n++))),
+    (storage) => new FileStorage(storage.dir),
+  ));
+});
+
+test('FileStorage breaks a lock left by a crashed process once its lease is over', async (t) => {
+  const root = await mkdtemp(join(tmpdir(), 'sequential-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+  const crashed = new FileStorage(root);
+  await crashed.lock('task-1'); // never released
+  const storage = new FileStorage(root, { lease: 20 });
+  await storage.set('task-1', { step: 1 });
+  assert.deepEqual(await storage.get('task-1'), { step: 1 });
+});
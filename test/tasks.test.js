@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+/** A stored record as run() leaves it, paused on a request. */
+function record(fields = {}) {
+  return {
+    version: 1,
+    code: '',
+    status: 'paused',
+    step: 1,
+    pause: { fetch: { url: 'https://api.example.com/u' } },
+    createdAt: 1000,
+    updatedAt: 1000,
+    ...fields,
+  };
+}
+
+test('getTask() and listTasks() describe stored tasks', async () => {
+  const rt = createRuntime();
+  await rt.storage.set('old', record());
+  await rt.storage.set('new', record({ updatedAt: 5000 }));
+  await rt.storage.set('nap', record({ status: 'sleeping', pause: { wakeAt: 9000, duration: 1000 } }));
+
+  assert.deepEqual(await rt.getTask('old'), {
+    id: 'old', status: 'paused', step: 1, createdAt: 1000, updatedAt: 1000,
+    expiresAt: undefined, parent: undefined, fetch: { url: 'https://api.example.com/u' },
+  });
+  assert.equal(await rt.getTask('missing'), undefined);
+  assert.deepEqual((await rt.listTasks({ status: 'paused' })).map(t => t.id).sort(), ['new', 'old']);
+  assert.deepEqual((await rt.listTasks({ olderThan: 2000 })).map(t => t.id).sort(), ['nap', 'old']);
+});
+
+test('expired tasks are dropped when they are read', async () => {
+  const rt = createRuntime();
+  await rt.storage.set('gone', record({ expiresAt: Date.now() - 1 }));
+  await rt.storage.set('kept', record({ expiresAt: Date.now() + 60_000 }));
+  assert.deepEqual((await rt.listTasks()).map(t => t.id), ['kept']);
+  assert.equal(await rt.storage.get('gone'), undefined);
+  await assert.rejects(() => rt.resume('gone', {}), /Not found: gone/);
+});
+
+test('cancel() deletes a task and the child it waits on', async () => {
+  const rt = createRuntime();
+  await rt.storage.set('p', record({ status: 'waiting', pause: { workflow: 'w', args: {}, child: 'p:1:w' } }));
+  await rt.storage.set('p:1:w', record({ parent: { id: 'p', step: 1 }, root: 'p' }));
+  assert.deepEqual(await rt.cancel('p'), { id: 'p', status: 'cancelled' });
+  assert.deepEqual(await rt.listTasks(), []);
+  await assert.rejects(() => rt.cancel('p'), /Not found: p/);
+});
+
+test('a TTL expires a task left paused too long', needsVM, async () => {
+  const rt = createRuntime();
+  const task = await rt.run('return await fetch("https://api.example.com/u")', 't', { ttl: 20 });
+  assert.ok((await rt.getTask('t')).expiresAt >= Date.now());
+  await new Promise(r => setTimeout(r, 30));
+  assert.equal(await rt.getTask('t'), undefined);
+  await assert.rejects(() => rt.resume('t', {}, { step: task.step }), /Not found: t/);
+});
+
+test('a resume for another step is a conflict and leaves the task alone', async () => {
+  const rt = createRuntime();
+  await rt.storage.set('t', record({ step: 2 }));
+  assert.deepEqual(await rt.resume('t', {}, { step: 1 }), { id: 't', status: 'conflict', error: 'Task t is no longer at step 1' });
+  assert.equal((await rt.resumeWithError('t', 'late', { step: 3 })).status, 'conflict');
+  assert.equal((await rt.getTask('t')).step, 2);
+});
+
+test('of two resumes racing for one step, only one advances the task', needsVM, async () => {
+  const rt = createRuntime();
+  const task = await rt.run('const a = await fetch("https://api.example.com/a");\nreturn a;', 't');
+  const results = await Promise.all([
+    rt.resume('t', 'first', { step: task.step }),
+    rt.resume('t', 'second', { step: task.step }),
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), ['conflict', 'done']);
+});
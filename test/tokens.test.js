@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenError } from '../src/index.js';
+import { sealToken, openToken } from '../src/core.js';
+
+const record = {
+  code: 'const u = await fetch("https://api.example.com/u");\n(u);',
+  source: 'const u = await fetch("https://api.example.com/u")\nreturn u',
+  map: [[0, 0, 10]],
+  state: { pc: 3, stack: [{ scope: 0 }] },
+  paused: { variables: [['s', 'héllo ✓'], ['undef', undefined], ['list', [1, null, { a: 'x'.repeat(2000) }]]] },
+  status: 'paused',
+  step: 1,
+  stateless: true,
+};
+
+for (const encrypt of [false, true]) {
+  const config = { secret: 'correct horse', encrypt };
+  const label = encrypt ? 'encrypted' : 'signed';
+
+  test(`${label} tokens round-trip without source and map`, async () => {
+    const token = await sealToken(config, 'task-1', record);
+    assert.match(token, encrypt ? /^sq1e\./ : /^sq1\./);
+    assert.ok(token.length < 400, `token is compressed (${token.length} chars)`);
+    const { source, map, ...rest } = record;
+    const opened = await openToken(config, 'task-1', token);
+    assert.deepEqual(opened.state, rest.state);
+    assert.deepEqual(new Map(opened.paused.variables), new Map(rest.paused.variables));
+    assert.equal(opened.source, undefined);
+  });
+
+  test(`${label} tokens are rejected for another id, another secret or when tampered`, async () => {
+    const token = await sealToken(config, 'task-1', record);
+    const [version, payload, mac] = token.split('.');
+    const flipped = `${version}.${payload.slice(0, -2)}${payload.at(-2) === 'A' ? 'B' : 'A'}${payload.at(-1)}.${mac}`;
+    for (const attempt of [
+      () => openToken(config, 'task-2', token),
+      () => openToken({ ...config, secret: 'other' }, 'task-1', token),
+      () => openToken(config, 'task-1', flipped),
+      () => openToken(config, 'task-1', 'not-a-token'),
+      () => openToken({ ...config, encrypt: !encrypt }, 'task-1', token),
+    ]) {
+      await assert.rejects(attempt, TokenError);
+    }
+  });
+}
+
+test('sealing needs a secret', async () => {
+  await assert.rejects(sealToken(undefined, 'task-1', record), /secret/);
+});
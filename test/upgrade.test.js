@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { upgrade } from '../src/core.js';
+
+const source = 'const user = await api.users.get({ id: 1 });\nreturn user.name;';
+
+/** A runtime with `api` registered, and a stored task for `source` with the given code hash. */
+function setup(codeHash) {
+  const rt = createRuntime();
+  rt.use({ name: 'api', methods: [{ call: 'users.get', path: 'users/{id}', method: 'GET' }] }, 'https://api.example.com');
+  return { rt, stored: { version: 1, source, codeHash, code: 'stale', specs: ['api'] } };
+}
+
+test('a source the running library normalizes differently is flagged as code', async () => {
+  const { rt, stored } = setup('0000000000000000');
+  const { result } = await upgrade(rt, 't', stored);
+  assert.equal(result.status, 'incompatible_state');
+  assert.deepEqual(result.reasons, ['code']);
+});
+
+test('a migration gets the current code hash and its record is restamped', async () => {
+  const { rt, stored } = setup('0000000000000000');
+  let info;
+  rt.defineMigration((record, i) => { info = i; return record; });
+  const { stored: next } = await upgrade(rt, 't', stored);
+  assert.equal(info.from.codeHash, '0000000000000000');
+  assert.equal(next.codeHash, info.to.codeHash);
+  assert.deepEqual(await upgrade(rt, 't', next), { stored: next });
+});
+
+test('stateless records without a source keep their stored hash', async () => {
+  const { rt, stored } = setup('0000000000000000');
+  delete stored.source;
+  assert.deepEqual(await upgrade(rt, 't', stored), { stored });
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, generateJSONSchema } from '../src/index.js';
+import { validateParams } from '../src/core.js';
+import { slackNode } from './fixtures.js';
+
+const rt = createRuntime();
+rt.useNodesRegistry([slackNode], 'https://nodes.example.com');
+const node = rt.getNodeRegistry().bySdkName.get('slack');
+const op = (call) => node.methods.find(m => m.call === call);
+
+test('accepts a valid call', () => {
+  assert.deepEqual(validateParams(node, op('sendMessage'), { channel: 'c', text: 'hi' }), []);
+});
+
+test('reports unknown and missing params', () => {
+  const issues = validateParams(node, op('sendMessage'), { chanel: 'c', text: 'hi' });
+  assert.deepEqual(issues.map(i => [i.path, i.code]), [['chanel', 'unknown'], ['channel', 'required']]);
+});
+
+test('only params shown for the operation are accepted', () => {
+  const issues = validateParams(node, op('getChannel'), { channel: 'c', text: 'hi' });
+  assert.deepEqual(issues.map(i => [i.path, i.code]), [['text', 'unknown']]);
+});
+
+test('checks types and options values', () => {
+  const issues = validateParams(node, op('sendMessage'), { channel: 1, text: 'hi', mode: 'html' });
+  assert.deepEqual(issues.map(i => [i.path, i.code]), [['channel', 'type'], ['mode', 'enum']]);
+});
+
+test('conditional params and credentials are never required', () => {
+  const issues = validateParams(node, op('sendMessage'), { channel: 'c', text: 'hi', mode: 'blocks' });
+  assert.deepEqual(issues, []);
+});
+
+test('accepts the operation selector key', () => {
+  assert.deepEqual(validateParams(node, op('getChannel'), { operation: 'getChannel', channel: 'c' }), []);
+});
+
+test('rejects non-object params', () => {
+  assert.equal(validateParams(node, op('getChannel'), 'c')[0].code, 'type');
+});
+
+test('JSON schemas require and allow what validation does', () => {
+  const strict = { ...slackNode, credentials: [{ name: 'token', type: 'string', required: true }] };
+  const schema = generateJSONSchema([strict])['slack.sendMessage'];
+  assert.deepEqual(schema.required, ['channel', 'text']);
+  assert.deepEqual(schema.properties.operation, { const: 'sendMessage' });
+  assert.equal(schema.additionalProperties, false);
+
+  const chat = { name: 'chat', actions: [{ name: 'operation', type: 'options', options: [{ name: 'send-message' }] }] };
+  assert.equal(generateJSONSchema([chat])['chat.sendMessage']['x-operation'], 'send-message');
+});
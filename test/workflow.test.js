@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime } from '../src/index.js';
+import { needsVM } from './fixtures.js';
+
+test('a sub-workflow inherits its parent\'s limits, TTL and journaling', needsVM, async () => {
+  const rt = createRuntime({
+    workflows: { fetchUser: 'return await fetch("https://api.example.com/u")' },
+  });
+  const task = await rt.run('return await workflow("fetchUser", {})', 'p', {
+    ttl: 60_000,
+    journal: true,
+    limits: { maxPauses: 5 },
+  });
+  assert.equal(task.parent, 'p');
+  const child = await rt.storage.get(task.id);
+  assert.equal(child.ttl, 60_000);
+  assert.equal(child.limits.maxPauses, 5);
+  assert.equal(child.depth, 1);
+  assert.ok(child.journal);
+});
+
+test('nesting past limits.maxDepth throws at the parent, so recursion ends', needsVM, async () => {
+  const rt = createRuntime({ workflows: { again: 'return await workflow("again", {})' } });
+  const task = await rt.run('return await workflow("again", {})', 'r', { limits: { maxDepth: 3 } });
+  assert.equal(task.id, 'r');
+  assert.equal(task.status, 'error');
+  assert.match(JSON.stringify(task.error), /would nest deeper than 3 levels/);
+  assert.deepEqual(await rt.listTasks(), []);
+});
+
+test('a finished child resumes its parent, and a failed one throws there', needsVM, async () => {
+  const rt = createRuntime({
+    workflows: {
+      lookup: 'const u = await fetch("https://api.example.com/u/" + args.id);\nreturn u.name;',
+      broken: 'throw new Error("no")',
+    },
+  });
+  let task = await rt.run('return await workflow("lookup", { id: 7 })', 'p');
+  assert.equal(task.id, 'p:0:lookup');
+  assert.equal(task.fetch.url, 'https://api.example.com/u/7');
+  assert.equal((await rt.getTask('p')).status, 'waiting');
+  task = await rt.resume(task.id, { name: 'Bob' });
+  assert.equal(task.id, 'p');
+  assert.equal(task.result, 'Bob');
+  assert.equal(task.child.result, 'Bob');
+
+  task = await rt.run('try {\n  await workflow("broken", {});\n} catch (e) {\n  return e.message;\n}', 'q');
+  assert.equal(task.result, 'no');
+  task = await rt.run('return await workflow("nope", {})', 'r');
+  assert.match(JSON.stringify(task.error), /Unknown workflow nope/);
+});